@@ -1,14 +1,27 @@
 // Background script for X.com Tags Manager
+importScripts('x-url-parser.js', 'tag-matcher.js', 'tags-store.js', 'history-store.js', 'feed-store.js', 'journal-store.js', 'site-adapters.js', 'display-modes.js');
 
-// Listen for extension icon click
-chrome.action.onClicked.addListener((tab) => {
-    chrome.tabs.create({
-        url: chrome.runtime.getURL('options.html')
-    });
-});
+// How long a coin stays "already alerted" so re-rendered cards don't alert twice
+const ALERT_DEDUP_TTL = 6 * 60 * 60 * 1000;
+const TAG_MENU_ID = 'tagXAccount';
 
 // Listen for installation
 chrome.runtime.onInstalled.addListener((details) => {
+    // Upgrade stored tags before any page asks for them
+    TagsStore.migrate().catch(error => console.error('Error migrating tags:', error));
+
+    // Context menu entries persist across worker restarts, so they are only (re)created here
+    chrome.contextMenus.removeAll(() => {
+        chrome.contextMenus.create({
+            id: TAG_MENU_ID,
+            title: 'Добавить X-аккаунт в теги',
+            contexts: ['link'],
+            targetUrlPatterns: ['*://x.com/*', '*://*.x.com/*', '*://twitter.com/*', '*://*.twitter.com/*']
+        });
+    });
+
+    registerAdapterScripts();
+
     if (details.reason === 'install') {
         // Open options page on first install
         chrome.tabs.create({
@@ -17,21 +30,341 @@ chrome.runtime.onInstalled.addListener((details) => {
     }
 });
 
+// Subscribed team lists are re-fetched on an alarm; file:// feeds are refreshed by the options page
+async function scheduleFeedSync() {
+    const { feedIntervalMinutes } = await TagsStore.loadSettings();
+    const alarm = await chrome.alarms.get(FEED_ALARM);
+    if (!alarm || alarm.periodInMinutes !== feedIntervalMinutes) {
+        await chrome.alarms.create(FEED_ALARM, { delayInMinutes: 1, periodInMinutes: feedIntervalMinutes });
+    }
+}
+
+scheduleFeedSync().catch(error => console.error('Error scheduling feed sync:', error));
+
+chrome.alarms.onAlarm.addListener((alarm) => {
+    if (alarm.name === FEED_ALARM) {
+        FeedSubscriptions.syncAll(feed => !FeedSubscriptions.isFileFeed(feed))
+            .catch(error => console.error('Error syncing feeds:', error));
+    }
+});
+
+chrome.storage.onChanged.addListener((changes, areaName) => {
+    if (areaName === 'sync' && 'xcom_settings' in changes) {
+        scheduleFeedSync().catch(error => console.error('Error scheduling feed sync:', error));
+    }
+    if (areaName === 'sync' && 'xcom_site_adapters' in changes) {
+        registerAdapterScripts();
+    }
+});
+
+// Custom site adapters are injected only into sites the user granted from the options page
+function registerAdapterScripts() {
+    SiteAdapters.registerContentScripts().catch(error => console.error('Error registering site adapters:', error));
+}
+
+chrome.permissions.onAdded.addListener(registerAdapterScripts);
+chrome.permissions.onRemoved.addListener(registerAdapterScripts);
+
+// The keyboard shortcut cycles the display mode of every tab; pages follow the stored value
+chrome.commands.onCommand.addListener(async (command) => {
+    if (command !== DISPLAY_MODE_COMMAND) return;
+    try {
+        await DisplayModes.save(DisplayModes.next(await DisplayModes.load()));
+    } catch (error) {
+        console.error('Error switching display mode:', error);
+    }
+});
+
+// The action badge shows the current display mode in its color, empty when every card is shown.
+// Tabs with tagged coins or mentions show their number in the same color instead, see updateTabBadge
+async function updateModeBadge() {
+    const mode = DisplayModes.find(await DisplayModes.load());
+    await chrome.action.setBadgeBackgroundColor({ color: mode.color });
+    await chrome.action.setBadgeText({ text: mode.badge });
+    await chrome.action.setTitle({ title: `X.com Tags Manager · ${mode.name}` });
+
+    // Tab badges were drawn for the previous mode
+    const { xcom_tab_matches: counts = {} } = await chrome.storage.session.get('xcom_tab_matches');
+    await Promise.all(Object.entries(counts).map(([tabId, count]) =>
+        showTabBadge(Number(tabId), count, mode).catch(() => {}) // Tab is gone
+    ));
+}
+
+updateModeBadge().catch(error => console.error('Error updating badge:', error));
+DisplayModes.onChanged(() => {
+    updateModeBadge().catch(error => console.error('Error updating badge:', error));
+});
+
+// Chrome drops tab-specific badges when the tab navigates; single-page sites report again after a change.
+// Counts are kept for the session so a mode switch can redraw them
+async function updateTabBadge(tabId, count) {
+    const { xcom_tab_matches: counts = {} } = await chrome.storage.session.get('xcom_tab_matches');
+    counts[tabId] = count;
+    await chrome.storage.session.set({ 'xcom_tab_matches': counts });
+    await showTabBadge(tabId, count, DisplayModes.find(await DisplayModes.load()));
+}
+
+// The count replaces the mode's badge text; its color and the title still tell the mode
+async function showTabBadge(tabId, count, mode) {
+    await chrome.action.setBadgeBackgroundColor({ tabId, color: mode.color });
+    await chrome.action.setBadgeText({ tabId, text: count ? String(count) : null });
+    await chrome.action.setTitle({
+        tabId,
+        title: `X.com Tags Manager · ${mode.name}` + (count ? ` · совпадений на странице: ${count}` : '')
+    });
+}
+
+chrome.tabs.onRemoved.addListener(async (tabId) => {
+    const { xcom_tab_matches: counts = {} } = await chrome.storage.session.get('xcom_tab_matches');
+    if (!(tabId in counts)) return;
+    delete counts[tabId];
+    await chrome.storage.session.set({ 'xcom_tab_matches': counts });
+});
+
 // Listen for messages from content script
 chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
     if (request.action === 'refreshTags') {
         // Forward the message to content scripts
-        chrome.tabs.query({}, (tabs) => {
+        Promise.all([chrome.tabs.query({}), SiteAdapters.loadAll()]).then(([tabs, adapters]) => {
             tabs.forEach(tab => {
                 if (tab.url && (
-                    tab.url.includes('axiom.trade/pulse') ||
+                    SiteAdapters.findForUrl(adapters, tab.url) ||
                     tab.url.includes('twitter.com') ||
                     tab.url.includes('x.com')
                 )) {
-                    chrome.tabs.sendMessage(tab.id, request);
+                    chrome.tabs.sendMessage(tab.id, request).catch(() => {});
                 }
             });
         });
         sendResponse({ success: true });
     }
-}); 
\ No newline at end of file
+
+    if (request.action === 'pageMatches' && sender.tab) {
+        updateTabBadge(sender.tab.id, request.count)
+            .catch(error => console.error('Error updating badge:', error));
+        sendResponse({ success: true });
+    }
+
+    if (request.action === 'addTag') {
+        const { value, error } = TagsStore.parseTagValue(request.tag.type, request.tag.value);
+        if (error) {
+            sendResponse({ error });
+            return;
+        }
+        addTag({ type: request.tag.type, value }, { group: request.group, note: request.note, source: getSourceName(sender) })
+            .then(sendResponse)
+            .catch(error => {
+                console.error('Error adding tag:', error);
+                sendResponse({ error: 'Не удалось сохранить тег' });
+            });
+        return true;
+    }
+
+    if (request.action === 'removeTag') {
+        removeTag(request.tagKey, getSourceName(sender))
+            .then(sendResponse)
+            .catch(error => {
+                console.error('Error removing tag:', error);
+                sendResponse({ removed: false });
+            });
+        return true;
+    }
+
+    if (request.action === 'tagSighted') {
+        handleSighting(request, sender)
+            .then(sendResponse)
+            .catch(error => {
+                console.error('Error handling sighting:', error);
+                sendResponse({ notified: false });
+            });
+        return true; // Keep the channel open for the async response
+    }
+});
+
+// Tag edits from pages and the context menu are serialized so two tabs can't overwrite each other's change.
+// `edit` changes the loaded lists in place and returns the journal summary, or null if nothing changed
+let tagEditQueue = Promise.resolve();
+
+function editTags(edit) {
+    const result = tagEditQueue.then(async () => {
+        const lists = await TagsStore.load();
+        const summary = edit(lists);
+        if (!summary) return false;
+
+        await TagsStore.save(lists);
+        ChangeJournal.record(summary, { tags: lists.tags, groups: lists.groups, blocklist: lists.blocklist })
+            .catch(error => console.error('Error writing change journal:', error));
+        return true;
+    });
+    tagEditQueue = result.catch(() => {});
+    return result;
+}
+
+async function addTag(tag, { group, note = '', source = '' } = {}) {
+    const { authorName } = await TagsStore.loadSettings();
+    const label = TagsStore.formatTag(tag);
+    const added = await editTags(lists => {
+        if (lists.tags.some(existing => TagsStore.tagKey(existing) === TagsStore.tagKey(tag))) return null;
+        const groupId = lists.groups.some(g => g.id === group) ? group : lists.groups[0].id;
+        lists.tags.push({ ...TagsStore.createTag(tag, groupId, authorName), note: String(note || '').slice(0, 500) });
+        return source ? `Добавлен ${label} с ${source}` : `Добавлен ${label}`;
+    });
+    return { added, label };
+}
+
+async function removeTag(tagKey, source = '') {
+    let label = '';
+    const removed = await editTags(lists => {
+        const tag = lists.tags.find(existing => TagsStore.tagKey(existing) === tagKey);
+        if (!tag) return null;
+        label = TagsStore.formatTag(tag);
+        lists.tags = lists.tags.filter(existing => existing !== tag);
+        return source ? `Удален ${label} с ${source}` : `Удален ${label}`;
+    });
+    return { removed, label };
+}
+
+function getSourceName(sender) {
+    try {
+        return sender.tab && sender.tab.url ? new URL(sender.tab.url).hostname : '';
+    } catch (error) {
+        return '';
+    }
+}
+
+chrome.contextMenus.onClicked.addListener(async (info, tab) => {
+    if (info.menuItemId !== TAG_MENU_ID) return;
+
+    // t.co links can't be resolved here; the in-page buttons handle those
+    const parsed = XUrlParser.parse(info.linkUrl);
+    let message;
+    if (!parsed || !parsed.username) {
+        message = 'Ссылка не ведет на профиль или пост X.com';
+    } else {
+        try {
+            const { added, label } = await addTag({ type: 'x', value: parsed.username }, { source: getSourceName({ tab }) });
+            message = added ? `${label} добавлен в теги` : `${label} уже есть в тегах`;
+        } catch (error) {
+            console.error('Error adding tag from context menu:', error);
+            message = 'Не удалось сохранить тег';
+        }
+    }
+
+    chrome.notifications.create(`tag:${Date.now()}`, {
+        type: 'basic',
+        iconUrl: chrome.runtime.getURL('icons/icon-128.png'),
+        title: 'X.com Tags Manager',
+        message
+    });
+});
+
+// Writes to the sighting history are serialized so concurrent tabs don't drop records
+let historyQueue = Promise.resolve();
+
+function recordSighting(request, sender) {
+    historyQueue = historyQueue
+        .then(() => SightingsHistory.record({ ...request, pageUrl: sender.tab ? sender.tab.url : '' }))
+        .catch(error => console.error('Error recording sighting:', error));
+    return historyQueue;
+}
+
+// A tagged account showed up on a pulse card: log it and, for new cards, decide whether to alert
+async function handleSighting(request, sender) {
+    await recordSighting(request, sender);
+
+    if (!request.notify || request.blocked) {
+        return { notified: false };
+    }
+
+    const [{ groups }, settings] = await Promise.all([TagsStore.load(), TagsStore.loadSettings()]);
+    const group = groups.find(g => g.id === request.groupId);
+
+    if (!settings.alertsEnabled || !group || !group.alerts) {
+        return { notified: false };
+    }
+
+    if (TagsStore.isQuietTime(settings.quietHours)) {
+        return { notified: false };
+    }
+
+    const dedupKey = `${request.tagType}:${request.username}|${request.coinName || request.coinLink}`;
+    if (await wasRecentlyAlerted(dedupKey)) {
+        return { notified: false };
+    }
+
+    const notificationId = `sighting:${Date.now()}:${Math.random().toString(36).slice(2, 8)}`;
+    await chrome.notifications.create(notificationId, {
+        type: 'basic',
+        iconUrl: chrome.runtime.getURL('icons/icon-128.png'),
+        title: `${group.badge ? group.badge + ' ' : ''}${request.label} - новая монета`,
+        message: request.coinName || 'Новая монета на axiom.trade/pulse',
+        contextMessage: group.name,
+        buttons: [{ title: 'Показать карточку' }],
+        priority: 2
+    });
+
+    // The worker may be suspended before the user clicks, so keep targets in session storage
+    const { xcom_alert_targets: targets = {} } = await chrome.storage.session.get('xcom_alert_targets');
+    targets[notificationId] = {
+        tabId: sender.tab.id,
+        windowId: sender.tab.windowId,
+        cardId: request.cardId,
+        tagKey: `${request.tagType}:${request.username}`,
+        label: request.label
+    };
+    await chrome.storage.session.set({ 'xcom_alert_targets': targets });
+
+    return { notified: true, playSound: settings.alertSound };
+}
+
+async function wasRecentlyAlerted(key) {
+    const now = Date.now();
+    const { xcom_alerted: alerted = {} } = await chrome.storage.session.get('xcom_alerted');
+
+    // Drop expired entries while we're here
+    Object.keys(alerted).forEach(existing => {
+        if (now - alerted[existing] > ALERT_DEDUP_TTL) {
+            delete alerted[existing];
+        }
+    });
+
+    const seen = key in alerted;
+    alerted[key] = now;
+    await chrome.storage.session.set({ 'xcom_alerted': alerted });
+    return seen;
+}
+
+async function focusAlertTarget(notificationId) {
+    const { xcom_alert_targets: targets = {} } = await chrome.storage.session.get('xcom_alert_targets');
+    const target = targets[notificationId];
+    chrome.notifications.clear(notificationId);
+    if (!target) return;
+
+    delete targets[notificationId];
+    await chrome.storage.session.set({ 'xcom_alert_targets': targets });
+
+    try {
+        await chrome.windows.update(target.windowId, { focused: true });
+        await chrome.tabs.update(target.tabId, { active: true });
+        await chrome.tabs.sendMessage(target.tabId, {
+            action: 'scrollToCard',
+            cardId: target.cardId,
+            tagKey: target.tagKey,
+            label: target.label
+        });
+    } catch (error) {
+        // The tab was closed since the alert was shown
+        console.error('Error focusing coin card:', error);
+    }
+}
+
+chrome.notifications.onClicked.addListener(focusAlertTarget);
+chrome.notifications.onButtonClicked.addListener(focusAlertTarget);
+
+chrome.notifications.onClosed.addListener(async (notificationId) => {
+    const { xcom_alert_targets: targets = {} } = await chrome.storage.session.get('xcom_alert_targets');
+    if (targets[notificationId]) {
+        delete targets[notificationId];
+        await chrome.storage.session.set({ 'xcom_alert_targets': targets });
+    }
+});
@@ -1,177 +1,648 @@
 class XComTagsHighlighter {
     constructor() {
         this.tags = [];
+        this.groups = [];
+        this.blocklist = [];
+        this.settings = { ...DEFAULT_SETTINGS };
+        this.theme = PageTheme.normalize(null);
+        this.tagIndex = new Map(); // "type:value" -> { tag, group, priority }
+        this.blockIndex = new Map(); // "type:value" -> { tag, group, priority, blocked }
+        this.tagTypes = new Set(); // Tag types present in either list
+        this.patternMatchers = []; // Compiled pattern tags, blocklist patterns first
+        this.protectedHandles = new Map(); // skeleton length -> [{ tag, skeleton }] for look-alike checks
+        this.fuzzyCache = new Map(); // handle -> pattern/look-alike match (or null), reset on every index rebuild
+        this.scannedCards = new WeakSet(); // Cards whose text was already searched for addresses
+        this.cardCache = new WeakMap(); // link -> its coin card
         this.processedElements = new WeakSet(); // Track processed elements
+        this.containerHandlers = new WeakMap(); // container -> listeners added by highlightCoin
+        this.reportedCoins = new Set(); // tag|coin keys already sent to the background worker
+        this.notifyNewCoins = false; // True while processing cards added after page load
         this.isProcessing = false; // Prevent concurrent processing
+        this.queue = new ProcessQueue(element => this.processContent(element, { notify: true }), stats => this.reportBatch(stats));
+        this.benchmarks = []; // Recent batch timings while the benchmark setting is on
+        this.paused = false; // Highlighting switched off from the page panel
+        this.displayMode = DISPLAY_MODES[0].id; // Which coin cards are hidden or pinned, see display-modes.js
+        this.adapters = [...BUILTIN_ADAPTERS]; // Site adapters, custom ones first
+        this.adapter = null; // Adapter for adapterHref, see getAdapter
+        this.adapterHref = null;
+        this.panel = null; // Floating panel, only on pages with a site adapter
+        this.reportedMatchCount = null; // Last count sent for the action badge of this tab
+        this.tagButtons = new TagButtons(this); // "+ тег" / "✓ тег" controls next to X.com handles
         this.init();
     }
 
     async init() {
-        await this.loadTags();
+        await Promise.all([this.loadTags(), this.loadTheme(), this.loadDisplayMode()]);
+        this.applyTheme();
+        if (this.getAdapter() && this.highlightsCards()) {
+            await this.createPanel();
+        }
+        this.watchStorage();
         this.startObserving();
         this.processExistingContent();
     }
 
     async loadTags() {
         try {
-            const result = await chrome.storage.sync.get(['xcom_tags']);
-            this.tags = result.xcom_tags || [];
-            console.log('Loaded tags:', this.tags);
+            const [result, settings, adapters] = await Promise.all([
+                TagsStore.load(),
+                TagsStore.loadSettings(),
+                SiteAdapters.loadAll()
+            ]);
+            const merged = await FeedSubscriptions.applyTo(result);
+            this.adapters = adapters;
+            this.tags = merged.tags;
+            this.groups = result.groups;
+            this.blocklist = merged.blocklist;
+            this.settings = settings;
         } catch (error) {
             console.error('Error loading tags:', error);
             this.tags = [];
+            this.groups = TagsStore.getDefaultGroups();
+            this.blocklist = [];
+            this.settings = { ...DEFAULT_SETTINGS };
+            this.adapters = [...BUILTIN_ADAPTERS];
         }
+        this.adapterHref = null;
+        this.buildTagIndex();
+        this.schedulePauseEnd();
     }
 
-    startObserving() {
-        // Create a mutation observer to watch for new content
-        const observer = new MutationObserver((mutations) => {
-            if (this.isProcessing) return; // Prevent concurrent processing
-            
-            const hasRelevantChanges = mutations.some(mutation => {
-                return mutation.type === 'childList' && 
-                       mutation.addedNodes.length > 0 &&
-                       Array.from(mutation.addedNodes).some(node => 
-                           node.nodeType === Node.ELEMENT_NODE
-                       );
+    // Highlighting comes back by itself when a pause set from the options page or the popup runs out
+    schedulePauseEnd() {
+        clearTimeout(this.pauseTimer);
+        const remaining = this.settings.pausedUntil - Date.now();
+        if (remaining > 0) {
+            this.pauseTimer = setTimeout(() => this.reprocessPage(), remaining + 100);
+        }
+    }
+
+    async loadTheme() {
+        try {
+            this.theme = await PageTheme.load();
+        } catch (error) {
+            console.error('Error loading theme:', error);
+        }
+    }
+
+    // A switched off or paused site gets its page back without a trace; the panel goes too, see refreshTags
+    applyTheme() {
+        if (this.isActive()) {
+            PageTheme.apply(this.theme);
+        } else {
+            PageTheme.remove();
+        }
+    }
+
+    async loadDisplayMode() {
+        try {
+            this.displayMode = await DisplayModes.load();
+        } catch (error) {
+            console.error('Error loading display mode:', error);
+        }
+    }
+
+    // Single-page sites change the URL without reloading, so the adapter is looked up again when it changes
+    getAdapter() {
+        const href = window.location.href;
+        if (this.adapterHref !== href) {
+            this.adapterHref = href;
+            const adapter = SiteAdapters.findForUrl(this.adapters, href);
+            if (adapter !== this.adapter) {
+                this.adapter = adapter;
+                this.resetCards();
+            }
+        }
+        return this.adapter;
+    }
+
+    async createPanel() {
+        this.panel = new PagePanel(this);
+        await this.panel.init();
+    }
+
+    buildTagIndex() {
+        this.tagIndex = new Map();
+        this.tags.forEach(tag => {
+            let priority = this.groups.findIndex(group => group.id === tag.group);
+            if (priority === -1) priority = 0;
+            this.tagIndex.set(TagsStore.tagKey(tag), {
+                tag,
+                group: this.groups[priority],
+                priority
             });
+        });
 
-            if (hasRelevantChanges) {
-                // Debounce the processing
-                clearTimeout(this.debounceTimer);
-                this.debounceTimer = setTimeout(() => {
-                    mutations.forEach((mutation) => {
-                        if (mutation.type === 'childList') {
-                            mutation.addedNodes.forEach((node) => {
-                                if (node.nodeType === Node.ELEMENT_NODE) {
-                                    this.processContent(node);
-                                }
-                            });
-                        }
-                    });
-                }, 100);
+        // Blocklist entries get priority -1 so a warning always wins over a group highlight
+        this.blockIndex = new Map();
+        this.blocklist.forEach(entry => {
+            this.blockIndex.set(TagsStore.tagKey(entry), {
+                tag: { ...entry, note: entry.reason, links: [], trust: null },
+                group: BLOCKLIST_GROUP,
+                priority: -1,
+                blocked: true
+            });
+        });
+
+        this.tagTypes = new Set([...this.tags, ...this.blocklist].map(tag => tag.type));
+        this.buildFuzzyIndex();
+    }
+
+    // Pattern tags and protected handles are checked only when the exact lookup misses
+    buildFuzzyIndex() {
+        this.fuzzyCache = new Map();
+        this.patternMatchers = [];
+        [...this.blockIndex.values(), ...this.tagIndex.values()]
+            .filter(match => match.tag.type === 'pattern')
+            .forEach(match => {
+                try {
+                    this.patternMatchers.push({ regex: TagMatcher.compilePattern(match.tag.value), match });
+                } catch (error) {
+                    console.error('Skipping invalid pattern tag:', match.tag.value, error);
+                }
+            });
+
+        this.protectedHandles = new Map();
+        this.tags.filter(tag => tag.type === 'x' && tag.protect).forEach(tag => {
+            const skeleton = TagMatcher.skeleton(tag.value);
+            const bucket = this.protectedHandles.get(skeleton.length) || [];
+            bucket.push({ tag, skeleton });
+            this.protectedHandles.set(skeleton.length, bucket);
+        });
+
+        // Handles can be matched by patterns and look-alike checks even with no exact X.com tags
+        if (this.patternMatchers.length || this.protectedHandles.size) {
+            this.tagTypes.add('x');
+        }
+    }
+
+    findMatch(type, value) {
+        if (!this.tagTypes.has(type)) return null;
+
+        if (type === 'domain') {
+            return this.findDomainMatch(value);
+        }
+
+        const normalized = TagsStore.normalizeValue(type, value);
+        const key = `${type}:${normalized}`;
+        const exact = this.blockIndex.get(key) || this.tagIndex.get(key);
+        if (exact || type !== 'x') return exact || null;
+
+        return this.findFuzzyMatch(normalized);
+    }
+
+    // Explicit pattern tags win over the look-alike heuristic; results are cached per handle
+    findFuzzyMatch(handle) {
+        if (this.fuzzyCache.has(handle)) return this.fuzzyCache.get(handle);
+
+        const pattern = this.patternMatchers.find(({ regex }) => regex.test(handle));
+        const match = pattern ? { ...pattern.match, matchedValue: handle } : this.findLookalike(handle);
+
+        if (this.fuzzyCache.size > 5000) this.fuzzyCache.clear();
+        this.fuzzyCache.set(handle, match);
+        return match;
+    }
+
+    // A handle that reads like a protected tag (homoglyphs, extra "_" or a typo) but isn't one
+    findLookalike(handle) {
+        if (!this.protectedHandles.size) return null;
+
+        const skeleton = TagMatcher.skeleton(handle);
+        const maxDistance = this.settings.lookalikeDistance;
+
+        for (let length = skeleton.length - maxDistance; length <= skeleton.length + maxDistance; length++) {
+            const candidates = this.protectedHandles.get(length) || [];
+            const original = candidates.find(candidate => {
+                const allowed = TagMatcher.getMaxDistance(candidate.skeleton.length, maxDistance);
+                return candidate.tag.value !== handle &&
+                    TagMatcher.boundedDistance(skeleton, candidate.skeleton, allowed) <= allowed;
+            });
+
+            if (original) {
+                return {
+                    tag: { type: 'x', value: handle, note: '', links: [], trust: null, createdAt: null, addedBy: '' },
+                    group: IMPERSONATION_GROUP,
+                    priority: -1,
+                    impersonates: original.tag
+                };
             }
+        }
+        return null;
+    }
+
+    // A domain tag also matches its subdomains (example.com matches app.example.com)
+    findDomainMatch(hostname) {
+        const parts = hostname.toLowerCase().replace(/^www\./, '').split('.');
+        for (let i = 0; i < parts.length - 1; i++) {
+            const key = `domain:${parts.slice(i).join('.')}`;
+            const match = this.blockIndex.get(key) || this.tagIndex.get(key);
+            if (match) return match;
+        }
+        return null;
+    }
+
+    // Return the strongest match: blocklist first, then the highest-priority group
+    pickBestMatch(matches) {
+        return matches.reduce((best, match) => {
+            if (!match) return best;
+            return !best || match.priority < best.priority ? match : best;
+        }, null);
+    }
+
+    startObserving() {
+        const observer = new MutationObserver((mutations) => {
+            mutations.forEach(mutation => {
+                if (mutation.type === 'attributes') {
+                    this.relinkCard(mutation.target);
+                    return;
+                }
+                mutation.addedNodes.forEach(node => {
+                    if (node.nodeType === Node.ELEMENT_NODE && !this.isOwnNode(node)) {
+                        this.queue.add(node);
+                    }
+                });
+            });
         });
 
-        // Start observing the document body
+        // Virtualized lists reuse card nodes for other coins and only swap their links
         observer.observe(document.body, {
             childList: true,
-            subtree: true
+            subtree: true,
+            attributes: true,
+            attributeFilter: ['href']
         });
     }
 
+    // Badges, wrappers and buttons added by the highlighter itself never need processing
+    isOwnNode(element) {
+        return typeof element.className === 'string' && element.className.startsWith('xcom-');
+    }
+
+    // A link that now points elsewhere may belong to another account: its card is processed from scratch
+    relinkCard(link) {
+        if (!this.processedElements.has(link)) return;
+
+        const card = this.findCoinContainer(link);
+        const scope = card || link;
+        if (card) {
+            if (card.hasAttribute('data-xcom-highlighted')) {
+                this.unhighlightCoin(card);
+            }
+            this.scannedCards.delete(card);
+            card.querySelectorAll('.xcom-tag-toggle, .xcom-card-missing').forEach(element => element.remove());
+        } else {
+            // Without a card the button and the marker sit next to the link
+            while (link.nextElementSibling && link.nextElementSibling.matches('.xcom-tag-toggle, .xcom-card-missing')) {
+                link.nextElementSibling.remove();
+            }
+        }
+        [link, ...scope.querySelectorAll('a[href]')].forEach(element => this.processedElements.delete(element));
+        this.queue.add(scope);
+    }
+
+    reportBatch(stats) {
+        if (!this.settings.benchmark) return;
+
+        this.benchmarks.push({ time: new Date().toLocaleTimeString(), ...stats });
+        this.benchmarks.splice(0, this.benchmarks.length - BENCHMARK_LIMIT);
+        console.info(`[X.com Tags] ${stats.nodes} nodes in ${stats.chunks} chunks: ${stats.processingMs} ms processing, ${stats.totalMs} ms after the first change`);
+    }
+
     processExistingContent() {
         // Process existing content on page load
         this.processContent(document.body);
     }
 
-    processContent(container) {
-        if (!container || !container.querySelectorAll || this.isProcessing) return;
+    processContent(container, options = {}) {
+        if (!container || !container.querySelectorAll || this.isProcessing || this.paused || !this.isActive()) return;
+        if (this.isOverlayNode(container)) return;
         
         this.isProcessing = true;
+        this.notifyNewCoins = Boolean(options.notify);
         
         try {
-            // Find all X.com links on axiom.trade/pulse
-            if (window.location.href.includes('axiom.trade/pulse')) {
-                this.processAxiomPulsePage(container);
+            // Coin cards on launchpad and screener pages
+            const adapter = this.getAdapter();
+            if (adapter && this.highlightsCards()) {
+                if (!this.panel) {
+                    this.createPanel().catch(error => console.error('Error creating page panel:', error));
+                }
+                this.processAdapterPage(container, adapter);
+                this.applyDisplayMode(container, adapter);
+            }
+
+            // Profile headers and tweet authors on X.com itself
+            if (XUrlParser.isXHost(window.location.hostname)) {
+                this.tagButtons.processXPage(container);
             }
 
             // Also process regular text highlighting
-            this.highlightTextContent(container);
+            if (this.getSiteSettings().mentions) {
+                this.highlightTextContent(container);
+            }
         } finally {
             this.isProcessing = false;
         }
+
+        if (this.panel) {
+            this.panel.scheduleUpdate();
+        }
+        this.scheduleMatchReport();
+    }
+
+    // Per-site switches from the options page and the popup, see DEFAULT_SITE_SETTINGS
+    getSiteSettings() {
+        return TagsStore.getSiteSettings(this.settings, window.location.hostname);
+    }
+
+    // False while the site is switched off or everything is paused for a while
+    isActive() {
+        return TagsStore.isSiteEnabled(this.settings, window.location.hostname) && !TagsStore.isPaused(this.settings);
+    }
+
+    // Coin cards and the page panel
+    highlightsCards() {
+        return this.isActive() && this.getSiteSettings().cards;
+    }
+
+    // Tagged accounts on the page with their coin cards and @mentions, strongest group first.
+    // Shared by the page panel and the popup, so it only holds plain data
+    collectPageMatches() {
+        const accounts = new Map();
+        const getAccount = (element, key) => {
+            const group = this.findGroup(element.getAttribute('data-xcom-group'));
+            const account = accounts.get(key) || {
+                key,
+                label: element.getAttribute('data-xcom-label'),
+                group: { id: group.id, name: group.name, color: group.color, badge: group.badge || '' },
+                priority: Number(element.getAttribute('data-xcom-priority')),
+                cards: 0,
+                mentions: 0,
+                coins: []
+            };
+            accounts.set(key, account);
+            return account;
+        };
+
+        document.querySelectorAll('[data-xcom-highlighted]').forEach(card => {
+            const account = getAccount(card, card.getAttribute('data-xcom-tag'));
+            const coinName = this.getCoinName(card);
+            account.cards++;
+            if (coinName && !account.coins.includes(coinName)) account.coins.push(coinName);
+        });
+        document.querySelectorAll('.xcom-highlighted-tag[data-xcom-mention]').forEach(mention => {
+            getAccount(mention, mention.getAttribute('data-xcom-mention')).mentions++;
+        });
+
+        return [...accounts.values()].sort((a, b) => a.priority - b.priority || a.label.localeCompare(b.label));
+    }
+
+    findGroup(groupId) {
+        return [BLOCKLIST_GROUP, IMPERSONATION_GROUP, ...this.groups].find(group => group.id === groupId) || this.groups[0];
+    }
+
+    // The background worker shows the number of matches in the action badge of this tab
+    scheduleMatchReport() {
+        clearTimeout(this.matchReportTimer);
+        this.matchReportTimer = setTimeout(() => {
+            const count = this.collectPageMatches().reduce((sum, account) => sum + account.cards + account.mentions, 0);
+            if (count === this.reportedMatchCount) return;
+            this.reportedMatchCount = count;
+            chrome.runtime.sendMessage({ action: 'pageMatches', count })
+                .catch(() => {}); // Extension was reloaded
+        }, 500);
+    }
+
+    // The extension's own panel and popovers show handles too; they must not be highlighted
+    isOverlayNode(node) {
+        const element = node.nodeType === Node.ELEMENT_NODE ? node : node.parentElement;
+        return Boolean(element && element.closest('.xcom-panel, .xcom-tag-popover, .xcom-card-missing'));
+    }
+
+    setPaused(paused) {
+        this.paused = paused;
+        if (paused) {
+            this.clearHighlights();
+        } else {
+            this.reprocessPage();
+        }
     }
 
-    processAxiomPulsePage(container) {
-        // Find all links that contain X.com URLs
-        const xcomLinks = container.querySelectorAll('a[href*="x.com"], a[href*="twitter.com"]');
+    // "Продолжить" in the popup ends the panel's pause too; the panel keeps it saved for the other tabs
+    resume() {
+        if (this.panel) {
+            this.panel.setPaused(false);
+        } else if (this.paused) {
+            this.setPaused(false);
+        }
+    }
+
+    setDisplayMode(modeId) {
+        if (modeId === this.displayMode) return;
+        this.displayMode = modeId;
+
+        this.clearDisplayMode();
+        const adapter = this.getAdapter();
+        if (!this.paused && adapter && this.highlightsCards()) {
+            this.applyDisplayMode(document.body, adapter);
+        }
+        if (this.panel) {
+            this.panel.updateControls();
+        }
+    }
+
+    // Hidden and pinned cards only carry an attribute, the theme stylesheet does the rest
+    applyDisplayMode(container, adapter) {
+        if (this.displayMode === 'all') return;
+
+        const cards = new Set();
+        const addCard = (card) => {
+            // A card guess that wraps the whole list would hide or move far too much
+            if (card && card !== document.body && !card.querySelector('.xcom-panel')) {
+                cards.add(card);
+            }
+        };
+        // Every card counts, whatever its links point to; the card selector also finds cards without links
+        if (adapter.cardSelector) {
+            [container.closest(adapter.cardSelector), ...container.querySelectorAll(adapter.cardSelector)].forEach(addCard);
+        }
+        container.querySelectorAll(adapter.linkSelector).forEach(link => addCard(this.findCoinContainer(link)));
+
+        cards.forEach(card => {
+            const highlighted = card.hasAttribute('data-xcom-highlighted');
+            const blocked = card.hasAttribute('data-xcom-blocked');
+
+            if (this.displayMode === 'tagged') {
+                if (!highlighted && !card.closest('[data-xcom-highlighted]') && !card.querySelector('[data-xcom-highlighted]')) {
+                    card.setAttribute('data-xcom-filtered', '');
+                }
+            } else if (this.displayMode === 'hide-blocked') {
+                if (blocked) card.setAttribute('data-xcom-filtered', '');
+            } else if (this.displayMode === 'pin') {
+                if (highlighted && !blocked) card.setAttribute('data-xcom-pinned', '');
+            }
+        });
+    }
+
+    clearDisplayMode() {
+        document.querySelectorAll('[data-xcom-filtered], [data-xcom-pinned]').forEach(card => {
+            card.removeAttribute('data-xcom-filtered');
+            card.removeAttribute('data-xcom-pinned');
+        });
+    }
+
+    processAdapterPage(container, adapter) {
+        // Find all links: X.com profiles, Telegram, TikTok, websites and links carrying addresses
+        const links = [...container.querySelectorAll(adapter.linkSelector)];
+        // A relinked card-less link is queued by itself
+        if (container.matches(adapter.linkSelector)) links.unshift(container);
         
-        xcomLinks.forEach(link => {
+        links.forEach(link => {
             // Skip if already processed
             if (this.processedElements.has(link)) return;
             
-            this.processXComLink(link);
+            this.processCoinLink(link);
             this.processedElements.add(link);
         });
+
+        // Pulse renders the coin name after the links: the card of an earlier miss may be complete now
+        if (adapter.nameSelector && (container.matches(adapter.nameSelector) || container.querySelector(adapter.nameSelector))) {
+            this.retryMissingCards();
+        }
     }
 
-    processXComLink(link) {
+    retryMissingCards() {
+        document.querySelectorAll('.xcom-card-missing').forEach(marker => {
+            // The tag button may sit between the link and its marker
+            let link = marker.previousElementSibling;
+            while (link && this.isOwnNode(link)) link = link.previousElementSibling;
+            if (link && this.findCoinContainer(link)) {
+                this.relinkCard(link);
+            }
+        });
+    }
+
+    processCoinLink(link) {
         const href = link.getAttribute('href');
         if (!href) return;
 
-        // Extract username from X.com URL
-        const username = this.extractUsernameFromUrl(href);
-        if (!username) return;
+        // Check every identifier in the link against our blocklist and tags
+        const identities = this.getLinkIdentities(link, href);
+        const match = this.pickBestMatch(identities.map(identity => this.findMatch(identity.type, identity.value)));
+        if (match) {
+            this.highlightCoin(link, match);
+        }
+
+        const account = identities.find(identity => identity.type === 'x');
+        if (account) {
+            this.tagButtons.addButton(link, account.value);
+        }
 
-        // Check if username is in our tags
-        if (this.tags.includes(username.toLowerCase())) {
-            this.highlightCoin(link, username);
+        // X.com links anchor a coin card; its text may carry a contract or dev wallet address
+        if (this.tagTypes.has('address') && identities.some(identity => identity.type === 'x' || identity.type === 'community')) {
+            this.scanCardForAddresses(link);
         }
     }
 
-    extractUsernameFromUrl(url) {
-        // Match patterns like:
-        // https://x.com/username/status/...
-        // https://twitter.com/username/status/...
-        const match = url.match(/(?:x\.com|twitter\.com)\/([^\/]+)/);
-        return match ? match[1] : null;
+    getLinkIdentities(link, href) {
+        let url;
+        try {
+            url = new URL(href, window.location.href);
+        } catch (error) {
+            return [];
+        }
+        if (!/^https?:$/.test(url.protocol)) return [];
+
+        const identities = [];
+        const host = url.hostname.toLowerCase().replace(/^(www|mobile)\./, '');
+        const segments = url.pathname.split('/').filter(Boolean);
+
+        if (XUrlParser.isXHost(host) || host === 't.co') {
+            const parsed = XUrlParser.parseLink(link);
+            if (parsed && parsed.username) identities.push({ type: 'x', value: parsed.username });
+            if (parsed && parsed.kind === 'community') identities.push({ type: 'community', value: parsed.communityId });
+        } else if (host === 't.me' || host === 'telegram.me') {
+            // t.me/s/<channel> is the public web preview of a channel
+            const handle = segments[0] === 's' ? segments[1] : segments[0];
+            if (handle) identities.push({ type: 'telegram', value: handle });
+        } else if (host === 'tiktok.com') {
+            const profile = segments.find(segment => segment.startsWith('@'));
+            if (profile) identities.push({ type: 'tiktok', value: profile.slice(1) });
+        } else if (host !== window.location.hostname.replace(/^www\./, '')) {
+            identities.push({ type: 'domain', value: host });
+        }
+
+        this.findAddresses(`${url.pathname} ${url.search}`).forEach(address => {
+            identities.push({ type: 'address', value: address });
+        });
+
+        return identities;
+    }
+
+    findAddresses(text) {
+        const evm = text.match(/\b0x[a-fA-F0-9]{40}\b/g) || [];
+        const solana = text.match(/(?<![1-9A-HJ-NP-Za-km-z])[1-9A-HJ-NP-Za-km-z]{32,44}(?![1-9A-HJ-NP-Za-km-z])/g) || [];
+        return [...evm, ...solana];
+    }
+
+    scanCardForAddresses(link) {
+        const container = this.findCoinContainer(link);
+        if (!container || this.scannedCards.has(container)) return;
+        this.scannedCards.add(container);
+
+        const match = this.pickBestMatch(
+            this.findAddresses(container.textContent || '').map(address => this.findMatch('address', address))
+        );
+        if (match) {
+            this.highlightCoin(link, match);
+        }
     }
 
-    highlightCoin(link, username) {
+    // Pattern matches are labeled with the handle that matched, not the pattern itself
+    getMatchLabel(match) {
+        return match.matchedValue ? `@${match.matchedValue}` : TagsStore.formatTag(match.tag);
+    }
+
+    highlightCoin(link, match) {
+        const label = this.getMatchLabel(match);
+
         // Find the coin container (parent element that contains the coin info)
         const coinContainer = this.findCoinContainer(link);
         if (!coinContainer) {
-            console.log('No coin container found for:', username);
+            this.markCardMissing(link, label);
             return;
         }
 
-        // Skip if already highlighted
-        if (coinContainer.hasAttribute('data-xcom-highlighted')) return;
+        // A card hidden as untagged may turn out to be tagged, e.g. by an address in its text
+        coinContainer.removeAttribute('data-xcom-filtered');
+
+        // Skip if already highlighted by a group with the same or higher priority
+        if (coinContainer.hasAttribute('data-xcom-highlighted') &&
+            Number(coinContainer.getAttribute('data-xcom-priority')) <= match.priority) {
+            return;
+        }
 
-        // Debug: log the selected container
-        console.log('Highlighting coin container for @' + username + ':', coinContainer);
-        console.log('Container classes:', coinContainer.className);
-        console.log('Container dimensions:', coinContainer.offsetWidth + 'x' + coinContainer.offsetHeight);
+        const { group } = match;
+        const color = group.color;
 
-        // Add green background to the coin with better styling for axiom.trade/pulse
-        coinContainer.style.backgroundColor = 'rgba(40, 167, 69, 0.1)';
-        coinContainer.style.border = '2px solid #28a745';
-        coinContainer.style.borderRadius = '12px';
-        coinContainer.style.padding = '8px';
-        coinContainer.style.transition = 'all 0.3s ease';
-        coinContainer.style.boxShadow = '0 4px 12px rgba(40, 167, 69, 0.2)';
-        coinContainer.style.position = 'relative';
-        coinContainer.style.zIndex = '1';
+        // The stylesheet draws the highlight; the card only learns its group color
+        coinContainer.style.setProperty('--xcom-color', color);
 
         // Add a visual indicator
         coinContainer.setAttribute('data-xcom-highlighted', 'true');
-        coinContainer.setAttribute('data-xcom-username', username);
-
-        // Add hover effect (only once)
-        if (!coinContainer.hasAttribute('data-xcom-hover-added')) {
-            coinContainer.addEventListener('mouseenter', () => {
-                coinContainer.style.backgroundColor = 'rgba(40, 167, 69, 0.15)';
-                coinContainer.style.transform = 'translateY(-2px)';
-                coinContainer.style.boxShadow = '0 6px 20px rgba(40, 167, 69, 0.3)';
-                coinContainer.style.borderColor = '#20c997';
-            });
-
-            coinContainer.addEventListener('mouseleave', () => {
-                coinContainer.style.backgroundColor = 'rgba(40, 167, 69, 0.1)';
-                coinContainer.style.transform = 'translateY(0)';
-                coinContainer.style.boxShadow = '0 4px 12px rgba(40, 167, 69, 0.2)';
-                coinContainer.style.borderColor = '#28a745';
-            });
+        coinContainer.setAttribute('data-xcom-tag', TagsStore.tagKey(match.tag));
+        coinContainer.setAttribute('data-xcom-label', label);
+        coinContainer.setAttribute('data-xcom-group', group.id);
+        coinContainer.setAttribute('data-xcom-priority', String(match.priority));
 
-            coinContainer.setAttribute('data-xcom-hover-added', 'true');
-        }
+        // Add click handler (only once); hover effects come from the theme stylesheet
+        if (!this.containerHandlers.has(coinContainer)) {
+            const handlers = {};
 
-        // Add click handler to open coin in new tab (only once)
-        if (!coinContainer.hasAttribute('data-xcom-click-added')) {
-            coinContainer.addEventListener('click', (e) => {
-                // Don't trigger if clicking on the X.com link itself
-                if (e.target.closest('a[href*="x.com"], a[href*="twitter.com"]')) {
+            // Open coin in new tab on click
+            handlers.click = (e) => {
+                // Don't trigger if clicking on a link inside the card, or where the site setting is off
+                if (e.target.closest('a[href]') || !this.getSiteSettings().clickOpen) {
                     return;
                 }
 
@@ -185,139 +656,213 @@ class XComTagsHighlighter {
                     window.open(coinLink, '_blank');
                     
                     // Show notification
-                    this.showNotification(`Открыта монета от @${username}`, 'success');
+                    const owner = coinContainer.getAttribute('data-xcom-label');
+                    this.showNotification(`Открыта монета от ${owner}`, 'success');
                 }
-            });
+            };
 
-            coinContainer.setAttribute('data-xcom-click-added', 'true');
+            Object.entries(handlers).forEach(([type, handler]) => {
+                coinContainer.addEventListener(type, handler);
+            });
+            this.containerHandlers.set(coinContainer, handlers);
         }
 
-        // Add cursor pointer to indicate clickable
-        coinContainer.style.cursor = 'pointer';
-
         // Add a small badge to show it's highlighted
-        this.addHighlightBadge(coinContainer, username);
-    }
+        this.addHighlightBadge(coinContainer, label, match);
 
-    findCoinContainer(link) {
-        // Start from the link and go up the DOM tree to find the main coin container
-        let element = link;
-        let depth = 0;
-        const maxDepth = 30; // Much deeper search
-
-        while (element && depth < maxDepth) {
-            // Look for the specific coin container pattern from axiom.trade/pulse
-            if (this.isCoinContainer(element)) {
-                return element;
-            }
-            element = element.parentElement;
-            depth++;
+        if (match.blocked) {
+            this.applyBlockMode(coinContainer);
         }
 
-        // If no specific container found, try to find the closest parent that looks like a coin container
-        const closestContainer = link.closest('[class*="flex flex-col flex-1"], [class*="coin"], [class*="card"], [class*="item"], [class*="row"]');
-        if (closestContainer) {
-            return closestContainer;
+        // Look-alikes aren't tags, so there is nothing to log or alert about
+        if (!match.impersonates) {
+            this.reportSighting(coinContainer, match);
         }
+    }
+
+    // Tell the background worker about the card: it logs every sighting and alerts on new cards
+    reportSighting(container, match) {
+        const { tag } = match;
+        const coinName = this.getCoinName(container);
+        const coinLink = this.findCoinLink(container);
+        const contract = this.findContractAddress(container);
+
+        const key = `${TagsStore.tagKey(tag)}|${contract || coinName || coinLink}`;
+        if (this.reportedCoins.has(key)) return;
+        this.reportedCoins.add(key);
 
-        // Try alternative search method
-        const alternativeContainer = this.findAlternativeCoinContainer(link);
-        if (alternativeContainer) {
-            return alternativeContainer;
+        if (!container.hasAttribute('data-xcom-card-id')) {
+            container.setAttribute('data-xcom-card-id', `card-${Date.now()}-${this.reportedCoins.size}`);
         }
 
-        // Last resort - go up to find any reasonable container
-        let fallbackElement = link;
-        for (let i = 0; i < 20; i++) { // Much more iterations
-            if (fallbackElement && fallbackElement.parentElement) {
-                fallbackElement = fallbackElement.parentElement;
-                // Check if this element has reasonable dimensions and structure
-                if (fallbackElement.offsetWidth > 200 && fallbackElement.offsetHeight > 100) {
-                    return fallbackElement;
-                }
+        chrome.runtime.sendMessage({
+            action: 'tagSighted',
+            tagType: tag.type,
+            username: tag.value,
+            label: TagsStore.formatTag(tag),
+            groupId: match.group.id,
+            blocked: Boolean(match.blocked),
+            coinName,
+            coinLink,
+            contract,
+            notify: this.notifyNewCoins,
+            cardId: container.getAttribute('data-xcom-card-id')
+        }, (response) => {
+            if (chrome.runtime.lastError) return; // Extension was reloaded
+            if (response && response.playSound) {
+                this.playAlertSound();
             }
-        }
+        });
+    }
+
+    // Look for a Solana (base58) or EVM (0x...) contract address in the card's links, then its text
+    findContractAddress(container) {
+        const sources = Array.from(container.querySelectorAll('a[href]'))
+            .map(link => link.getAttribute('href'))
+            .filter(href => !/x\.com|twitter\.com/.test(href));
+        sources.push(container.textContent || '');
 
-        return link.parentElement;
+        for (const source of sources) {
+            const [address] = this.findAddresses(source);
+            if (address) return address;
+        }
+        return '';
     }
 
-    findAlternativeCoinContainer(link) {
-        // Alternative method: look for the main coin container by searching for specific content
-        const coinNameElement = link.closest('div').querySelector('span.text-textPrimary');
-        if (coinNameElement) {
-            // Find the parent container that contains the coin name
-            let container = coinNameElement;
-            for (let i = 0; i < 25; i++) { // Much more iterations
-                if (container && container.className && 
-                    (container.className.includes('flex flex-col flex-1') || 
-                     container.className.includes('h-full'))) {
-                    return container;
-                }
-                container = container.parentElement;
-            }
+    playAlertSound() {
+        try {
+            const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+            this.audioContext = this.audioContext || new AudioContextClass();
+            const context = this.audioContext;
+            context.resume();
+
+            // Two short rising beeps
+            [0, 0.18].forEach((offset, index) => {
+                const oscillator = context.createOscillator();
+                const gain = context.createGain();
+                oscillator.type = 'sine';
+                oscillator.frequency.value = index === 0 ? 880 : 1320;
+                gain.gain.setValueAtTime(0.15, context.currentTime + offset);
+                gain.gain.exponentialRampToValueAtTime(0.001, context.currentTime + offset + 0.15);
+                oscillator.connect(gain);
+                gain.connect(context.destination);
+                oscillator.start(context.currentTime + offset);
+                oscillator.stop(context.currentTime + offset + 0.15);
+            });
+        } catch (error) {
+            console.error('Error playing alert sound:', error);
         }
+    }
 
-        // Look for any container that has both coin name and X.com link
-        const containers = document.querySelectorAll('div');
-        for (let container of containers) {
-            if (container.querySelector('span.text-textPrimary') && 
-                container.querySelector('a[href*="x.com"]') &&
-                container.offsetWidth > 200 && 
-                container.offsetHeight > 100 &&
-                !container.className.includes('modal') &&
-                !container.className.includes('popup') &&
-                !container.className.includes('dialog')) {
-                return container;
-            }
+    // Called when the user clicks a desktop notification
+    scrollToCard(cardId, tagKey, label) {
+        const card = document.querySelector(`[data-xcom-card-id="${CSS.escape(cardId || '')}"]`) ||
+            document.querySelector(`[data-xcom-tag="${CSS.escape(tagKey || '')}"]`);
+
+        if (!card) {
+            this.showNotification(`Карточка ${label} больше не на странице`, 'error');
+            return;
         }
 
-        return null;
+        this.flashCard(card);
     }
 
-    isCoinContainer(element) {
-        if (!element || !element.className) return false;
+    flashCard(card) {
+        card.scrollIntoView({ behavior: 'smooth', block: 'center' });
+        card.animate([
+            { outline: '3px solid #ffc107', outlineOffset: '4px' },
+            { outline: '3px solid transparent', outlineOffset: '4px' }
+        ], { duration: 600, iterations: 3 });
+    }
 
-        const className = element.className;
-        
-        // Check for the specific axiom.trade/pulse coin container pattern
-        if (className.includes('flex flex-col flex-1 h-full gap-[20px]')) {
-            return true;
+    // Dimming and collapsing are drawn by the theme stylesheet from these attributes
+    applyBlockMode(container) {
+        container.setAttribute('data-xcom-blocked', this.settings.blockMode);
+        if (this.settings.blockMode === 'collapse') {
+            this.setCollapsed(container, true);
         }
-        
-        // Check for other common coin container patterns
-        if (className.includes('flex flex-col flex-1') && className.includes('h-full')) {
-            return true;
+    }
+
+    setCollapsed(container, collapsed) {
+        container.setAttribute('data-xcom-collapsed', String(collapsed));
+    }
+
+    // Undo everything highlightCoin did to a container
+    unhighlightCoin(container) {
+        const handlers = this.containerHandlers.get(container);
+        if (handlers) {
+            Object.entries(handlers).forEach(([type, handler]) => {
+                container.removeEventListener(type, handler);
+            });
+            this.containerHandlers.delete(container);
         }
-        
-        // Check for elements that contain coin-related content
-        if (element.querySelector && (
-            element.querySelector('span.text-textPrimary') || // Coin name
-            element.querySelector('a[href*="x.com"]') || // X.com link
-            element.querySelector('a[href*="twitter.com"]') // Twitter link
-        )) {
-            // Make sure it's not too deep in the DOM (avoid modal content)
-            let depth = 0;
-            let parent = element.parentElement;
-            while (parent && depth < 5) {
-                if (parent.className && (
-                    parent.className.includes('modal') || 
-                    parent.className.includes('popup') || 
-                    parent.className.includes('dialog') ||
-                    parent.className.includes('overlay')
-                )) {
-                    return false; // This is inside a modal, keep looking
-                }
-                parent = parent.parentElement;
-                depth++;
+
+        container.querySelectorAll('.xcom-highlight-badge').forEach(badge => badge.remove());
+
+        container.style.removeProperty('--xcom-color');
+        if (!container.getAttribute('style')) {
+            container.removeAttribute('style');
+        }
+
+        Array.from(container.attributes)
+            .filter(attribute => attribute.name.startsWith('data-xcom-'))
+            .forEach(attribute => container.removeAttribute(attribute.name));
+    }
+
+    clearHighlights() {
+        document.querySelectorAll('[data-xcom-highlighted]').forEach(container => {
+            this.unhighlightCoin(container);
+        });
+        this.clearDisplayMode();
+        this.tagButtons.clear();
+        document.querySelectorAll('.xcom-card-missing').forEach(marker => marker.remove());
+
+        // Put highlighted @mentions back as plain text
+        document.querySelectorAll('.xcom-text-wrapper').forEach(wrapper => {
+            if (wrapper.parentNode) {
+                wrapper.parentNode.replaceChild(document.createTextNode(wrapper.textContent), wrapper);
             }
-            return true;
+        });
+        this.scheduleMatchReport();
+    }
+
+    // Each link is resolved once; links inside a card that is already known skip the lookup.
+    // Misses aren't kept: pulse renders the coin name after the links, so a later look may find the card
+    findCoinContainer(link) {
+        const adapter = this.getAdapter();
+        if (!adapter) return null;
+        if (this.cardCache.has(link)) return this.cardCache.get(link);
+
+        const card = link.closest('[data-xcom-card]') || SiteAdapters.findCard(link, adapter);
+        if (card) {
+            card.setAttribute('data-xcom-card', '');
+            this.cardCache.set(link, card);
         }
-        
-        // Also check for other common patterns
-        const coinKeywords = ['coin', 'card', 'item', 'row', 'flex', 'grid'];
-        const lowerClassName = className.toLowerCase();
-        
-        return coinKeywords.some(keyword => lowerClassName.includes(keyword));
+        return card;
+    }
+
+    // A different adapter may draw the card borders elsewhere
+    resetCards() {
+        this.cardCache = new WeakMap();
+        document.querySelectorAll('[data-xcom-card]').forEach(card => card.removeAttribute('data-xcom-card'));
+    }
+
+    // A tagged link without a card stays visible instead of highlighting a random parent,
+    // so a site that changed its markup is noticed and its selectors can be fixed
+    markCardMissing(link, label) {
+        if (link.nextElementSibling && link.nextElementSibling.classList.contains('xcom-card-missing')) return;
+
+        const marker = document.createElement('span');
+        marker.className = 'xcom-card-missing';
+        marker.textContent = `⚠ ${label}: карточка не найдена`;
+        marker.title = 'Не удалось определить карточку монеты для этой ссылки - проверьте селекторы сайта в настройках расширения';
+        link.after(marker);
+    }
+
+    getCoinName(container) {
+        const adapter = this.getAdapter();
+        const element = adapter && adapter.nameSelector ? container.querySelector(adapter.nameSelector) : null;
+        return element ? element.textContent.trim() : '';
     }
 
     findCoinLink(container) {
@@ -333,20 +878,20 @@ class XComTagsHighlighter {
         }
 
         // Look for coin name that might be clickable
-        const coinNameElement = container.querySelector('span.text-textPrimary');
-        if (coinNameElement && coinNameElement.textContent) {
+        const coinName = this.getCoinName(container);
+        const adapter = this.getAdapter();
+        if (coinName && adapter && adapter.searchUrl) {
             // Try to construct a search URL for the coin
-            const coinName = coinNameElement.textContent.trim();
-            if (coinName) {
-                return `https://axiom.trade/search?q=${encodeURIComponent(coinName)}`;
-            }
+            return adapter.searchUrl.replace('%s', encodeURIComponent(coinName));
         }
 
         // If no specific coin link found, return the current page URL
         return window.location.href;
     }
 
-    addHighlightBadge(container, username) {
+    addHighlightBadge(container, label, match) {
+        const { tag, group } = match;
+
         // Remove existing badge if any
         const existingBadge = container.querySelector('.xcom-highlight-badge');
         if (existingBadge) {
@@ -360,34 +905,77 @@ class XComTagsHighlighter {
             <svg width="12" height="12" viewBox="0 0 24 24" fill="currentColor">
                 <path d="M18.244 2.25h3.308l-7.227 8.26 8.502 11.24H16.17l-5.214-6.817L4.99 21.75H1.68l7.73-8.835L1.254 2.25H8.08l4.713 6.231zm-1.161 17.52h1.833L7.084 4.126H5.117z"/>
             </svg>
-            <span>@${username}</span>
-        `;
-        
-        badge.style.cssText = `
-            position: absolute;
-            top: 8px;
-            right: 8px;
-            background: linear-gradient(135deg, #1da1f2, #0d8bd9);
-            color: white;
-            padding: 4px 8px;
-            border-radius: 12px;
-            font-size: 10px;
-            font-weight: 600;
-            display: flex;
-            align-items: center;
-            gap: 4px;
-            z-index: 10;
-            box-shadow: 0 2px 4px rgba(0, 0, 0, 0.2);
+            <span></span>
         `;
+        const text = group.badge ? `${group.badge} · ${label}` : label;
+        badge.querySelector('span').textContent = tag.trust ? `${text} ${'★'.repeat(tag.trust)}` : text;
+
+        this.attachHoverCard(badge, label, match);
 
-        // Make container relative for absolute positioning
-        if (getComputedStyle(container).position === 'static') {
-            container.style.position = 'relative';
+        // Collapsed warning cards can be expanded from the badge
+        if (match.blocked) {
+            badge.addEventListener('click', (e) => {
+                if (container.getAttribute('data-xcom-blocked') !== 'collapse') return;
+                e.preventDefault();
+                e.stopPropagation();
+                this.setCollapsed(container, container.getAttribute('data-xcom-collapsed') !== 'true');
+            });
         }
 
         container.appendChild(badge);
     }
 
+    // Shown by the stylesheet while the badge is hovered
+    attachHoverCard(badge, label, match) {
+        const { tag, group } = match;
+        const card = document.createElement('div');
+        card.className = 'xcom-hover-card';
+
+        // Built with textContent only: notes and links are user-provided
+        const addLine = (text, className = '') => {
+            const line = document.createElement('div');
+            line.textContent = text;
+            line.className = className;
+            card.appendChild(line);
+            return line;
+        };
+
+        addLine(`${label} · ${group.name}`, 'xcom-hover-title');
+        if (match.impersonates) {
+            addLine(`Похоже на ${TagsStore.formatTag(match.impersonates)} - возможная подделка`, 'xcom-hover-warning');
+        } else if (match.blocked) {
+            addLine('Аккаунт в черном списке', 'xcom-hover-blocked');
+        } else {
+            addLine(tag.trust ? `Доверие: ${'★'.repeat(tag.trust)}${'☆'.repeat(5 - tag.trust)}` : 'Доверие: не оценено', 'xcom-hover-trust');
+        }
+        if (match.matchedValue) {
+            addLine(`Совпадение с шаблоном ${TagsStore.formatTag(tag)}`, 'xcom-hover-muted');
+        }
+        if (!match.impersonates) {
+            addLine(tag.note || (match.blocked ? 'Причина не указана' : 'Нет заметки'), `xcom-hover-note${tag.note ? '' : ' xcom-hover-muted'}`);
+        }
+
+        tag.links.forEach(href => {
+            if (!/^https?:\/\//i.test(href)) return;
+            const link = document.createElement('a');
+            link.href = href;
+            link.target = '_blank';
+            link.rel = 'noopener noreferrer';
+            link.textContent = href;
+            link.className = 'xcom-hover-link';
+            link.addEventListener('click', (e) => e.stopPropagation());
+            card.appendChild(link);
+        });
+
+        const meta = [];
+        if (tag.feed) meta.push(`из подписки «${tag.feed.name}»`);
+        if (tag.addedBy) meta.push(`добавил ${tag.addedBy}`);
+        if (tag.createdAt) meta.push(new Date(tag.createdAt).toLocaleDateString('ru-RU'));
+        if (meta.length) addLine(meta.join(' · '), 'xcom-hover-meta');
+
+        badge.appendChild(card);
+    }
+
     highlightTextContent(container) {
         if (!container || !container.textContent || this.processedElements.has(container)) return;
 
@@ -401,12 +989,12 @@ class XComTagsHighlighter {
             // Skip if already processed
             if (this.processedElements.has(node)) return;
             
-            const text = node.textContent;
-            const highlightedText = this.highlightUsernames(text);
+            const highlighted = this.highlightUsernames(node.nodeValue);
             
-            if (highlightedText !== text) {
+            if (highlighted) {
                 const wrapper = document.createElement('span');
-                wrapper.innerHTML = highlightedText;
+                wrapper.className = 'xcom-text-wrapper';
+                wrapper.appendChild(highlighted);
                 node.parentNode.replaceChild(wrapper, node);
                 this.processedElements.add(wrapper);
             }
@@ -422,8 +1010,10 @@ class XComTagsHighlighter {
             NodeFilter.SHOW_TEXT,
             {
                 acceptNode: (node) => {
-                    // Skip if already processed
-                    if (this.processedElements.has(node)) {
+                    // Skip if already processed; only @handles are highlighted in text. Text inside a wrapper
+                    // was highlighted before, e.g. in a node that was still queued when the page was reprocessed
+                    if (this.processedElements.has(node) || !node.nodeValue.includes('@') || this.isOverlayNode(node) ||
+                        node.parentElement.closest('.xcom-text-wrapper')) {
                         return NodeFilter.FILTER_REJECT;
                     }
                     return NodeFilter.FILTER_ACCEPT;
@@ -440,32 +1030,58 @@ class XComTagsHighlighter {
         return textNodes;
     }
 
+    // Splits page text into text nodes and highlighted @handles; null when no handle is tagged.
+    // The text is never parsed as markup, so whatever the page shows stays plain text
     highlightUsernames(text) {
-        if (!this.tags.length) return text;
+        // Own tags, blocklist entries, pattern tags and protected handles all add 'x', see buildTagIndex
+        if (!this.tagTypes.has('x')) return null;
 
-        // Create a regex pattern to match usernames
-        const usernamePattern = /@(\w+)/gi;
-        
-        return text.replace(usernamePattern, (match, username) => {
-            const lowerUsername = username.toLowerCase();
-            
-            if (this.tags.includes(lowerUsername)) {
-                return `<span class="xcom-highlighted-tag" style="
-                    background: linear-gradient(135deg, #1da1f2, #0d8bd9);
-                    color: white;
-                    padding: 2px 6px;
-                    border-radius: 12px;
-                    font-weight: 600;
-                    font-size: 0.9em;
-                    box-shadow: 0 2px 4px rgba(29, 161, 242, 0.3);
-                    margin: 0 2px;
-                    display: inline-block;
-                    position: relative;
-                " title="Highlighted from your X.com tags list">${match}</span>`;
+        const fragment = document.createDocumentFragment();
+        const usernamePattern = /@(\w+)/g;
+        let lastIndex = 0;
+        let match;
+
+        while ((match = usernamePattern.exec(text)) !== null) {
+            const tagMatch = this.findMatch('x', match[1]);
+            if (!tagMatch) continue;
+
+            if (match.index > lastIndex) {
+                fragment.appendChild(document.createTextNode(text.slice(lastIndex, match.index)));
             }
-            
-            return match;
-        });
+            fragment.appendChild(this.createHighlightedTag(match[0], tagMatch));
+            lastIndex = usernamePattern.lastIndex;
+        }
+
+        if (!fragment.hasChildNodes()) return null;
+        if (lastIndex < text.length) {
+            fragment.appendChild(document.createTextNode(text.slice(lastIndex)));
+        }
+        return fragment;
+    }
+
+    createHighlightedTag(text, tagMatch) {
+        const tag = document.createElement('span');
+        tag.className = 'xcom-highlighted-tag';
+        tag.textContent = text;
+        tag.title = this.getTagTooltip(tagMatch);
+        tag.style.setProperty('--xcom-color', tagMatch.group.color);
+        // Read back by collectPageMatches
+        tag.setAttribute('data-xcom-mention', TagsStore.tagKey(tagMatch.tag));
+        tag.setAttribute('data-xcom-label', this.getMatchLabel(tagMatch));
+        tag.setAttribute('data-xcom-group', tagMatch.group.id);
+        tag.setAttribute('data-xcom-priority', String(tagMatch.priority));
+        return tag;
+    }
+
+    getTagTooltip({ tag, group, blocked, impersonates }) {
+        if (impersonates) {
+            return `Возможная подделка ${TagsStore.formatTag(impersonates)}`;
+        }
+
+        const lines = [blocked ? 'Flagged by your X.com blocklist' : `Highlighted from your X.com tags list (${group.name})`];
+        if (tag.trust) lines.push(`Доверие: ${tag.trust}/5`);
+        if (tag.note) lines.push(tag.note);
+        return lines.join('\n');
     }
 
     showNotification(message, type = 'info') {
@@ -481,42 +1097,17 @@ class XComTagsHighlighter {
         const notification = document.createElement('div');
         notification.className = `xcom-notification xcom-notification-${type}`;
         notification.textContent = message;
-        
-        notification.style.cssText = `
-            position: fixed;
-            top: 20px;
-            right: 20px;
-            padding: 12px 20px;
-            border-radius: 8px;
-            color: white;
-            font-size: 14px;
-            font-weight: 500;
-            z-index: 10000;
-            transform: translateX(100%);
-            transition: transform 0.3s ease;
-            max-width: 300px;
-            box-shadow: 0 4px 12px rgba(0, 0, 0, 0.15);
-        `;
-
-        // Set background color based on type
-        if (type === 'success') {
-            notification.style.background = 'linear-gradient(135deg, #28a745, #20c997)';
-        } else if (type === 'error') {
-            notification.style.background = 'linear-gradient(135deg, #dc3545, #c82333)';
-        } else {
-            notification.style.background = 'linear-gradient(135deg, #17a2b8, #138496)';
-        }
 
         document.body.appendChild(notification);
 
-        // Show notification
+        // Show notification; it slides in from the right, see the theme stylesheet
         setTimeout(() => {
-            notification.style.transform = 'translateX(0)';
+            notification.classList.add('visible');
         }, 100);
 
         // Hide notification after 3 seconds
         setTimeout(() => {
-            notification.style.transform = 'translateX(100%)';
+            notification.classList.remove('visible');
             setTimeout(() => {
                 if (notification.parentNode) {
                     notification.parentNode.removeChild(notification);
@@ -525,11 +1116,83 @@ class XComTagsHighlighter {
         }, 3000);
     }
 
-    // Method to refresh tags (can be called from popup)
+    // Tag edits go through the background worker, which serializes them and writes the change journal
+    async addTag(tag, { group, note } = {}) {
+        try {
+            const response = await chrome.runtime.sendMessage({ action: 'addTag', tag, group, note });
+            if (response.error) {
+                this.showNotification(response.error, 'error');
+                return false;
+            }
+            this.showNotification(
+                response.added ? `${response.label} добавлен в теги` : `${response.label} уже есть в тегах`,
+                response.added ? 'success' : 'info'
+            );
+            return response.added;
+        } catch (error) {
+            console.error('Error adding tag:', error);
+            this.showNotification('Не удалось сохранить тег', 'error');
+            return false;
+        }
+    }
+
+    async removeTag(tagKey) {
+        try {
+            const response = await chrome.runtime.sendMessage({ action: 'removeTag', tagKey });
+            if (response.removed) {
+                this.showNotification(`${response.label} убран из тегов`, 'info');
+            }
+            return response.removed;
+        } catch (error) {
+            console.error('Error removing tag:', error);
+            this.showNotification('Не удалось сохранить изменение', 'error');
+            return false;
+        }
+    }
+
+    // Method to refresh tags (can be called from popup or on storage changes)
     async refreshTags() {
         await this.loadTags();
+        if (this.panel && !this.highlightsCards()) {
+            this.panel.remove();
+            this.panel = null;
+        }
+        this.reprocessPage();
+    }
+
+    reprocessPage() {
+        this.applyTheme();
+        this.queue.clear();
+        this.clearHighlights();
         this.processedElements = new WeakSet(); // Reset processed elements
+        this.scannedCards = new WeakSet();
         this.processExistingContent();
+        if (this.panel) {
+            this.panel.scheduleUpdate();
+        }
+    }
+
+    watchStorage() {
+        TagsStore.onChanged(() => {
+            // Coalesce bursts of writes (e.g. tags + groups saved together)
+            clearTimeout(this.refreshTimer);
+            this.refreshTimer = setTimeout(() => this.refreshTags(), 150);
+        });
+
+        // Only the stylesheet changes, highlights stay as they are
+        PageTheme.onChanged(theme => {
+            this.theme = theme;
+            this.applyTheme();
+        });
+
+        // Changed from the panel of any tab or with the keyboard shortcut
+        DisplayModes.onChanged(modeId => {
+            if (modeId === this.displayMode) return;
+            this.setDisplayMode(modeId);
+            if (this.panel && document.visibilityState === 'visible') {
+                this.showNotification(`Режим показа: ${DisplayModes.find(modeId).name}`, 'info');
+            }
+        });
     }
 }
 
@@ -554,6 +1217,26 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
         highlighter.refreshTags();
         sendResponse({ success: true });
     }
+
+    if (request.action === 'scrollToCard' && highlighter) {
+        highlighter.scrollToCard(request.cardId, request.tagKey, request.label);
+        sendResponse({ success: true });
+    }
+
+    if (request.action === 'resume' && highlighter) {
+        highlighter.resume();
+        sendResponse({ success: true });
+    }
+
+    if (request.action === 'getPageMatches' && highlighter) {
+        sendResponse({
+            site: TagsStore.getSiteKey(window.location.hostname),
+            enabled: TagsStore.isSiteEnabled(highlighter.settings, window.location.hostname),
+            paused: highlighter.paused,
+            pausedUntil: highlighter.settings.pausedUntil,
+            accounts: highlighter.collectPageMatches()
+        });
+    }
 });
 
 // Export for debugging
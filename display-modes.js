@@ -0,0 +1,43 @@
+// Display modes for coin card columns: which cards stay visible and which move to the top.
+// The mode is per device (chrome.storage.local); the keyboard shortcut cycles it from the background worker
+
+// `hint` is shown next to the mode where it is picked; `color` is the action badge's, also behind a tab's match count
+const DISPLAY_MODES = [
+    { id: 'all', name: 'Все монеты', badge: '', color: '#28a745', hint: '' },
+    { id: 'tagged', name: 'Только с тегами', badge: 'ТЕГ', color: '#17a2b8', hint: '' },
+    { id: 'hide-blocked', name: 'Без черного списка', badge: 'ЧС', color: '#dc3545', hint: '' },
+    // Cards are only reordered with CSS order: moving the nodes would fight the site's own rendering
+    { id: 'pin', name: 'Отмеченные наверху', badge: 'ТОП', color: '#fd7e14', hint: 'Поднимает карточки только в колонках на flex или grid, в остальных они остаются на месте' }
+];
+
+// Name of the shortcut in the manifest "commands"
+const DISPLAY_MODE_COMMAND = 'cycle-display-mode';
+
+class DisplayModes {
+    static async load() {
+        const result = await chrome.storage.local.get(['xcom_display_mode']);
+        return this.find(result.xcom_display_mode).id;
+    }
+
+    static async save(modeId) {
+        await chrome.storage.local.set({ 'xcom_display_mode': this.find(modeId).id });
+    }
+
+    static onChanged(callback) {
+        chrome.storage.onChanged.addListener((changes, areaName) => {
+            if (areaName === 'local' && 'xcom_display_mode' in changes) {
+                callback(this.find(changes.xcom_display_mode.newValue).id);
+            }
+        });
+    }
+
+    // Unknown ids from a newer version show everything
+    static find(modeId) {
+        return DISPLAY_MODES.find(mode => mode.id === modeId) || DISPLAY_MODES[0];
+    }
+
+    static next(modeId) {
+        const index = DISPLAY_MODES.indexOf(this.find(modeId));
+        return DISPLAY_MODES[(index + 1) % DISPLAY_MODES.length].id;
+    }
+}
@@ -0,0 +1,18 @@
+// Builds extension page markup from data without parsing HTML, shared by the options page and the popup
+
+class DomBuilder {
+    // Attribute values and text are set as is. `true` adds an empty attribute, `false` and null leave it out;
+    // null children are skipped
+    static createElement(tagName, attributes = {}, children = []) {
+        const element = document.createElement(tagName);
+        Object.entries(attributes).forEach(([name, value]) => {
+            if (value === false || value === null || value === undefined) return;
+            element.setAttribute(name, value === true ? '' : String(value));
+        });
+        children.forEach(child => {
+            if (child === null || child === undefined || child === false) return;
+            element.append(child);
+        });
+        return element;
+    }
+}
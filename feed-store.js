@@ -0,0 +1,219 @@
+// Team tag lists: subscriptions to remote JSON feeds in the export format
+// Subscriptions sync with the user's settings; fetched tags and sync state stay on this device.
+// The background worker refreshes http(s) feeds on an alarm, the options page also handles file://
+
+const FEED_ALARM = 'feedSync';
+
+class FeedSubscriptions {
+    static async load() {
+        const result = await chrome.storage.sync.get(['xcom_feeds']);
+        return Array.isArray(result.xcom_feeds) ? result.xcom_feeds : [];
+    }
+
+    static async save(feeds) {
+        await chrome.storage.sync.set({ 'xcom_feeds': feeds });
+    }
+
+    // feed id -> { etag, lastModified, lastSynced, lastError, title, count, skipped }
+    static async loadState() {
+        const result = await chrome.storage.local.get(['xcom_feed_state']);
+        return result.xcom_feed_state || {};
+    }
+
+    // feed id -> { tags, blocklist } as last fetched
+    static async loadFeedData() {
+        const result = await chrome.storage.local.get(['xcom_feed_tags']);
+        return result.xcom_feed_tags || {};
+    }
+
+    static createFeed(url, groupId) {
+        return {
+            id: 'f' + Date.now().toString(36) + Math.random().toString(36).slice(2, 6),
+            url,
+            group: groupId,
+            enabled: true
+        };
+    }
+
+    // Returns an error message for URLs we can't subscribe to, or null
+    static validateUrl(input) {
+        let url;
+        try {
+            url = new URL(input);
+        } catch (error) {
+            return 'Введите полный адрес, например https://example.com/tags.json';
+        }
+        return /^(https?|file):$/.test(url.protocol) ? null : 'Поддерживаются только http(s):// и file:// адреса';
+    }
+
+    // Origin pattern the extension needs permission for; file:// is covered by "Allow access to file URLs"
+    static getOriginPattern(url) {
+        const { protocol, host } = new URL(url);
+        return protocol === 'file:' ? null : `${protocol}//${host}/*`;
+    }
+
+    static isFileFeed(feed) {
+        return feed.url.startsWith('file:');
+    }
+
+    // Feeds are fetched one after another so their state writes don't race
+    static async syncAll(filter = () => true) {
+        const feeds = (await this.load()).filter(feed => feed.enabled && filter(feed));
+        const results = [];
+        for (const feed of feeds) {
+            results.push(await this.sync(feed));
+        }
+        return results;
+    }
+
+    // Fetches one feed with ETag/If-Modified-Since; an unchanged feed keeps its stored tags
+    static async sync(feed) {
+        const [state, data] = await Promise.all([this.loadState(), this.loadFeedData()]);
+        const previous = state[feed.id] || {};
+        const headers = {};
+        if (previous.etag) headers['If-None-Match'] = previous.etag;
+        if (previous.lastModified) headers['If-Modified-Since'] = previous.lastModified;
+
+        const next = { ...previous, lastError: '' };
+        try {
+            const response = await this.fetchFeed(feed.url, headers);
+            if (response.status !== 304) {
+                if (!response.ok) throw new Error(`HTTP ${response.status}`);
+                const parsed = this.parseFeed(JSON.parse(response.body));
+                data[feed.id] = { tags: parsed.tags, blocklist: parsed.blocklist };
+                next.title = parsed.title;
+                next.count = parsed.tags.length + parsed.blocklist.length;
+                next.skipped = parsed.skipped;
+                next.etag = response.etag || '';
+                next.lastModified = response.lastModified || '';
+            }
+            // Only a feed that arrived or is unchanged counts as synced; an error keeps the previous time
+            next.lastSynced = new Date().toISOString();
+        } catch (error) {
+            console.error('Error syncing feed:', feed.url, error);
+            next.lastError = error.message || String(error);
+        }
+
+        // Re-read before writing: other feeds may have synced while we were fetching
+        const [latestState, latestData] = await Promise.all([this.loadState(), this.loadFeedData()]);
+        latestState[feed.id] = next;
+        if (data[feed.id]) latestData[feed.id] = data[feed.id];
+        await chrome.storage.local.set({ 'xcom_feed_state': latestState, 'xcom_feed_tags': latestData });
+        return { feed, state: next };
+    }
+
+    // fetch() doesn't support file://, but extension pages may read local files with XHR
+    static async fetchFeed(url, headers) {
+        if (url.startsWith('file:')) {
+            if (typeof XMLHttpRequest === 'undefined') {
+                throw new Error('Файлы file:// обновляются со страницы настроек');
+            }
+            return new Promise((resolve, reject) => {
+                const request = new XMLHttpRequest();
+                request.open('GET', url);
+                request.onload = () => resolve({ ok: true, status: 200, body: request.responseText });
+                request.onerror = () => reject(new Error('Нет доступа к файлу - разрешите доступ к файлам на странице расширений'));
+                request.send();
+            });
+        }
+
+        const response = await fetch(url, { headers, cache: 'no-store', credentials: 'omit' });
+        return {
+            ok: response.ok,
+            status: response.status,
+            body: response.status === 304 ? '' : await response.text(),
+            etag: response.headers.get('ETag'),
+            lastModified: response.headers.get('Last-Modified')
+        };
+    }
+
+    // Accepts an exported file ({ name?, tags, blocklist? }) or a bare array of tags
+    static parseFeed(json) {
+        const source = Array.isArray(json) ? { tags: json } : json;
+        if (!source || !Array.isArray(source.tags)) {
+            throw new Error('В файле нет списка tags');
+        }
+
+        const groups = TagsStore.getDefaultGroups();
+        const tags = this.validateEntries(TagsStore.normalizeTags(source.tags, groups));
+        const blocklist = this.validateEntries(TagsStore.normalizeBlocklist(source.blocklist));
+        return {
+            title: typeof source.name === 'string' ? source.name : '',
+            tags: tags.valid,
+            blocklist: blocklist.valid,
+            skipped: tags.skipped + blocklist.skipped
+        };
+    }
+
+    // Feeds are written by other people, so every entry gets the checks of the add form.
+    // Pattern tags are refused: one slow regex would run against every handle on every open page
+    static validateEntries(entries) {
+        const seen = new Set();
+        const valid = [];
+        let skipped = 0;
+
+        entries.forEach(entry => {
+            const parsed = entry.type === 'pattern' ? { error: 'pattern' } : TagsStore.parseTagValue(entry.type, entry.value);
+            if (parsed.error) {
+                skipped++;
+                return;
+            }
+
+            const validated = { ...entry, value: parsed.value };
+            const key = TagsStore.tagKey(validated);
+            if (seen.has(key)) return;
+            seen.add(key);
+            valid.push(validated);
+        });
+        return { valid, skipped };
+    }
+
+    static async applyTo(lists) {
+        const [feeds, state, data] = await Promise.all([this.load(), this.loadState(), this.loadFeedData()]);
+        return this.merge(lists, feeds, state, data);
+    }
+
+    // Adds feed tags to the user's own lists; the user's own entry wins when both have the same key
+    static merge({ tags, groups, blocklist }, feeds, state, data) {
+        const tagKeys = new Set(tags.map(tag => TagsStore.tagKey(tag)));
+        const blockKeys = new Set(blocklist.map(entry => TagsStore.tagKey(entry)));
+        const mergedTags = [...tags];
+        const mergedBlocklist = [...blocklist];
+
+        feeds.filter(feed => feed.enabled && data[feed.id]).forEach(feed => {
+            const source = { id: feed.id, name: this.getFeedName(feed, state[feed.id]) };
+            const group = groups.some(g => g.id === feed.group) ? feed.group : groups[0].id;
+
+            // Feeds fetched before entries were validated may still hold pattern tags
+            data[feed.id].tags.forEach(tag => {
+                const key = TagsStore.tagKey(tag);
+                if (tagKeys.has(key) || tag.type === 'pattern') return;
+                tagKeys.add(key);
+                mergedTags.push({ ...tag, group, feed: source });
+            });
+
+            (data[feed.id].blocklist || []).forEach(entry => {
+                const key = TagsStore.tagKey(entry);
+                if (blockKeys.has(key) || entry.type === 'pattern') return;
+                blockKeys.add(key);
+                mergedBlocklist.push({ ...entry, feed: source });
+            });
+        });
+
+        return { tags: mergedTags, blocklist: mergedBlocklist };
+    }
+
+    static getFeedName(feed, state) {
+        if (state && state.title) return state.title;
+        const url = new URL(feed.url);
+        return url.protocol === 'file:' ? url.pathname.split('/').pop() : url.host;
+    }
+
+    // Drops what was fetched for a removed subscription
+    static async forget(feedId) {
+        const [state, data] = await Promise.all([this.loadState(), this.loadFeedData()]);
+        delete state[feedId];
+        delete data[feedId];
+        await chrome.storage.local.set({ 'xcom_feed_state': state, 'xcom_feed_tags': data });
+    }
+}
@@ -0,0 +1,94 @@
+// Sighting history: every coin from a tagged account seen on pulse
+// Written by the background worker, read by the options page
+
+const HISTORY_LIMIT = 5000;
+
+class SightingsHistory {
+    static async load() {
+        const result = await chrome.storage.local.get(['xcom_sightings']);
+        return Array.isArray(result.xcom_sightings) ? result.xcom_sightings : [];
+    }
+
+    // Adds a sighting, or refreshes lastSeen if this account/coin pair was already recorded
+    static async record(sighting) {
+        const records = await this.load();
+        const key = this.getKey(sighting);
+        const now = new Date().toISOString();
+        const existing = records.find(record => this.getKey(record) === key);
+
+        if (existing) {
+            existing.lastSeen = now;
+            existing.contract = existing.contract || sighting.contract || '';
+            existing.coinLink = existing.coinLink || sighting.coinLink || '';
+        } else {
+            records.push({
+                id: `s${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`,
+                tagType: sighting.tagType || 'x',
+                username: sighting.username,
+                group: sighting.groupId || '',
+                blocked: Boolean(sighting.blocked),
+                coinName: sighting.coinName || '',
+                coinLink: sighting.coinLink || '',
+                contract: sighting.contract || '',
+                pageUrl: sighting.pageUrl || '',
+                timestamp: now,
+                lastSeen: now
+            });
+        }
+
+        // Keep the newest records when over the limit
+        if (records.length > HISTORY_LIMIT) {
+            records.splice(0, records.length - HISTORY_LIMIT);
+        }
+
+        await chrome.storage.local.set({ 'xcom_sightings': records });
+        return !existing;
+    }
+
+    static async clear() {
+        await chrome.storage.local.remove('xcom_sightings');
+    }
+
+    static getKey(record) {
+        return `${this.getTagKey(record)}|${record.contract || record.coinName || record.coinLink}`;
+    }
+
+    // Same shape as TagsStore.tagKey; records written before typed tags are X.com usernames
+    static getTagKey(record) {
+        return `${record.tagType || 'x'}:${record.username}`;
+    }
+
+    // Per-account activity: coins seen, first/last seen and coins per day since first sighting
+    static computeStats(records, now = new Date()) {
+        const stats = new Map();
+
+        records.forEach(record => {
+            const time = new Date(record.timestamp).getTime();
+            const lastSeen = new Date(record.lastSeen || record.timestamp).getTime();
+            const key = this.getTagKey(record);
+            const entry = stats.get(key) || { coins: 0, firstSeen: time, lastSeen, times: [] };
+
+            entry.coins++;
+            entry.firstSeen = Math.min(entry.firstSeen, time);
+            entry.lastSeen = Math.max(entry.lastSeen, lastSeen);
+            entry.times.push(time);
+            stats.set(key, entry);
+        });
+
+        stats.forEach(entry => {
+            const days = Math.max(1, (now.getTime() - entry.firstSeen) / 86400000);
+            entry.perDay = entry.coins / days;
+        });
+
+        return stats;
+    }
+
+    static toCsv(records) {
+        const columns = ['timestamp', 'tagType', 'username', 'coinName', 'contract', 'coinLink', 'blocked', 'lastSeen'];
+
+        return [
+            columns.join(','),
+            ...records.map(record => columns.map(column => TagsStore.escapeCsv(record[column])).join(','))
+        ].join('\n');
+    }
+}
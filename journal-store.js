@@ -0,0 +1,59 @@
+// Change journal: a snapshot of the tag lists after every edit made on the options page
+// Kept in chrome.storage.local on this device; the newest entry is the time of the last change
+
+const JOURNAL_LIMIT = 50;
+// Snapshots hold the whole lists, so old entries are dropped before they crowd out the sighting history
+const JOURNAL_MAX_BYTES = 2 * 1024 * 1024;
+
+class ChangeJournal {
+    // Newest entry first
+    static async load() {
+        const result = await chrome.storage.local.get(['xcom_journal']);
+        return Array.isArray(result.xcom_journal) ? result.xcom_journal : [];
+    }
+
+    static async record(summary, snapshot, { baseline = false, timestamp = new Date().toISOString() } = {}) {
+        const entries = await this.load();
+        entries.unshift({
+            id: `j${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`,
+            timestamp,
+            summary,
+            baseline,
+            counts: {
+                tags: snapshot.tags.length,
+                blocklist: snapshot.blocklist.length,
+                groups: snapshot.groups.length
+            },
+            snapshot
+        });
+
+        entries.splice(JOURNAL_LIMIT);
+        while (entries.length > 1 && TagsStore.getByteSize(entries) > JOURNAL_MAX_BYTES) {
+            entries.pop();
+        }
+
+        await chrome.storage.local.set({ 'xcom_journal': entries });
+        return entries;
+    }
+
+    // The first time the journal is used, remember the lists as they were so they can be restored too.
+    // Versions before the journal kept the time of the last save in `last_update`; the baseline takes it over
+    static async ensureBaseline(snapshot) {
+        const entries = await this.load();
+        if (entries.length) return entries;
+
+        const { last_update: lastUpdate } = await chrome.storage.sync.get('last_update');
+        const baseline = await this.record('Исходное состояние', snapshot, {
+            baseline: true,
+            timestamp: lastUpdate ? new Date(lastUpdate).toISOString() : null
+        });
+        await chrome.storage.sync.remove('last_update');
+        return baseline;
+    }
+
+    // Time of the last real change; the baseline only counts if it carries a pre-journal timestamp
+    static getLastUpdate(entries) {
+        const entry = entries.find(e => !e.baseline) || entries.find(e => e.timestamp);
+        return entry && entry.timestamp ? new Date(entry.timestamp) : null;
+    }
+}
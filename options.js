@@ -1,15 +1,68 @@
+// Steps kept for undo in this tab; older changes can still be restored from the journal
+const UNDO_LIMIT = 30;
+const UNDO_TOAST_MS = 8000;
+// Tags are rendered in batches as the list is scrolled, so thousands of them stay responsive
+const TAG_RENDER_BATCH = 200;
+// Per-site switches besides "enabled", see DEFAULT_SITE_SETTINGS
+const SITE_FEATURE_LABELS = {
+    cards: 'Карточки монет',
+    mentions: '@упоминания в тексте',
+    clickOpen: 'Клик открывает монету'
+};
+const DELETE_ICON_PATH = 'M19 6.41L17.59 5 12 10.59 6.41 5 5 6.41 10.59 12 5 17.59 6.41 19 12 13.41 17.59 19 19 17.59 13.41 12z';
+
 class TagsManagerPage {
     constructor() {
         this.tags = [];
-        this.lastUpdate = null;
+        this.groups = TagsStore.getDefaultGroups();
+        this.journal = []; // Newest first, see journal-store.js
+        this.savedSnapshot = null; // Lists as last saved: what the next undo step returns to
+        this.undoStack = [];
+        this.redoStack = [];
+        this.settings = { ...DEFAULT_SETTINGS };
+        this.blocklist = [];
+        this.history = [];
+        this.historyStats = new Map(); // tag key -> stats derived from the sighting history
+        this.expandedTags = new Set(); // Tags with the details editor open
+        this.selectedTags = new Set(); // Tags picked for bulk actions
+        this.tagQuery = '';
+        this.tagSort = 'added';
+        this.visibleTags = []; // Own and feed tags after search and sorting, in display order
+        this.renderedTagCount = TAG_RENDER_BATCH;
+        this.feeds = [];
+        this.feedState = {}; // feed id -> last sync result
+        this.feedData = {}; // feed id -> fetched tags and blocklist
+        this.adapters = []; // Custom site adapters; built-in ones are listed from BUILTIN_ADAPTERS
+        this.theme = PageTheme.normalize(null);
         this.init();
     }
 
-    init() {
-        this.loadTags();
+    async init() {
         this.setupEventListeners();
+        await this.loadTags();
+        await this.loadSettings();
+        await this.loadHistory();
+        await this.loadFeeds();
+        await this.loadAdapters();
+        await this.loadTheme();
+        await this.loadJournal();
+        this.renderGroups();
         this.renderTags();
+        this.renderBlocklist();
+        this.renderHistory();
+        this.renderAdapters();
+        this.renderTheme();
+        this.renderJournal();
         this.updateStats();
+        this.renderStorageUsage();
+        this.watchHistory();
+        this.watchFeeds();
+        this.watchSiteSettings();
+        this.watchTags();
+
+        // The background worker can't read file:// feeds, so they are refreshed whenever this page opens
+        FeedSubscriptions.syncAll(FeedSubscriptions.isFileFeed)
+            .catch(error => console.error('Error syncing file feeds:', error));
     }
 
     setupEventListeners() {
@@ -19,6 +72,19 @@ class TagsManagerPage {
         const exportBtn = document.getElementById('exportBtn');
         const importBtn = document.getElementById('importBtn');
         const importFile = document.getElementById('importFile');
+        const addGroupBtn = document.getElementById('addGroupBtn');
+        const groupsContainer = document.getElementById('groupsContainer');
+        const tagsContainer = document.getElementById('tagsContainer');
+        const authorInput = document.getElementById('authorInput');
+        const blockInput = document.getElementById('blockInput');
+        const blockReasonInput = document.getElementById('blockReasonInput');
+        const blockAddBtn = document.getElementById('blockAddBtn');
+        const blockModeSelect = document.getElementById('blockModeSelect');
+        const blocklistContainer = document.getElementById('blocklistContainer');
+        const tagTypeSelect = document.getElementById('tagTypeSelect');
+        const blockTypeSelect = document.getElementById('blockTypeSelect');
+        const alertsSection = document.getElementById('alertsSection');
+        const historyFilters = document.getElementById('historyFilters');
 
         // Add tag on button click
         addBtn.addEventListener('click', () => this.addTag());
@@ -30,6 +96,14 @@ class TagsManagerPage {
             }
         });
 
+        // A pasted list of handles and links is added at once; single-line inputs would drop its line breaks
+        tagInput.addEventListener('paste', (e) => {
+            const text = e.clipboardData.getData('text');
+            if (this.splitBulkInput(text).length < 2) return;
+            e.preventDefault();
+            this.addTagsBulk(text);
+        });
+
         // Clear all tags
         clearBtn.addEventListener('click', () => this.clearAllTags());
 
@@ -39,256 +113,1963 @@ class TagsManagerPage {
         // Import tags
         importBtn.addEventListener('click', () => importFile.click());
         importFile.addEventListener('change', (e) => this.importTags(e));
+        document.getElementById('importDialog').addEventListener('change', (e) => {
+            if (e.target.name === 'importMode') {
+                this.renderImportPreview();
+            }
+        });
+        document.getElementById('importConfirmBtn').addEventListener('click', () => this.confirmImport());
+        document.getElementById('importCancelBtn').addEventListener('click', () => this.closeImportDialog());
+        document.getElementById('importDialog').addEventListener('cancel', () => {
+            this.pendingImport = null;
+        });
+
+        // Groups
+        addGroupBtn.addEventListener('click', () => this.addGroup());
+        groupsContainer.addEventListener('change', (e) => this.handleGroupChange(e));
+        groupsContainer.addEventListener('click', (e) => this.handleGroupClick(e));
+
+        // Feed subscriptions
+        document.getElementById('feedAddBtn').addEventListener('click', () => this.addFeed());
+        document.getElementById('feedUrlInput').addEventListener('keypress', (e) => {
+            if (e.key === 'Enter') {
+                this.addFeed();
+            }
+        });
+        document.getElementById('feedsSyncBtn').addEventListener('click', () => this.syncFeeds());
+        document.getElementById('feedIntervalSelect').addEventListener('change', (e) => {
+            this.settings.feedIntervalMinutes = Number(e.target.value);
+            this.saveSettings();
+        });
+        const feedsContainer = document.getElementById('feedsContainer');
+        feedsContainer.addEventListener('click', (e) => {
+            const deleteBtn = e.target.closest('.delete-btn');
+            if (deleteBtn) {
+                this.removeFeed(deleteBtn.closest('.feed-item').dataset.feed);
+            }
+        });
+        feedsContainer.addEventListener('change', (e) => {
+            const feedId = e.target.closest('.feed-item').dataset.feed;
+            if (e.target.classList.contains('tag-group-select')) {
+                this.updateFeed(feedId, { group: e.target.value });
+            } else if (e.target.dataset.field === 'enabled') {
+                this.updateFeed(feedId, { enabled: e.target.checked });
+            }
+        });
+
+        // Site adapters
+        document.getElementById('adapterAddBtn').addEventListener('click', () => this.addAdapter());
+        document.querySelectorAll('.adapter-input').forEach(input => {
+            input.addEventListener('keypress', (e) => {
+                if (e.key === 'Enter') {
+                    this.addAdapter();
+                }
+            });
+        });
+        document.getElementById('benchmarkToggle').addEventListener('change', (e) => {
+            this.settings.benchmark = e.target.checked;
+            this.saveSettings();
+        });
+        document.getElementById('pauseBtn').addEventListener('click', () => {
+            this.setPause(Number(document.getElementById('pauseDurationSelect').value));
+        });
+        document.getElementById('resumeBtn').addEventListener('click', () => this.setPause(0));
+        document.getElementById('siteSettingsContainer').addEventListener('change', (e) => {
+            const item = e.target.closest('.site-item');
+            if (item && e.target.dataset.siteField) {
+                this.updateSiteSettings(item.dataset.site, { [e.target.dataset.siteField]: e.target.checked });
+            }
+        });
+        const adaptersContainer = document.getElementById('adaptersContainer');
+        adaptersContainer.addEventListener('click', (e) => {
+            const deleteBtn = e.target.closest('.delete-btn');
+            if (deleteBtn) {
+                this.removeAdapter(deleteBtn.closest('.feed-item').dataset.adapter);
+            }
+        });
+        adaptersContainer.addEventListener('change', (e) => {
+            if (e.target.dataset.field === 'enabled') {
+                this.updateAdapter(e.target.closest('.feed-item').dataset.adapter, { enabled: e.target.checked });
+            }
+        });
+
+        // Theme editor: the preview follows every move, open tabs get the theme once a value is settled
+        const themeSection = document.getElementById('themeSection');
+        themeSection.addEventListener('input', () => {
+            this.theme = this.readThemeControls();
+            this.renderTheme();
+        });
+        themeSection.addEventListener('change', () => this.saveTheme());
+        document.getElementById('themeResetBtn').addEventListener('click', () => {
+            this.theme = PageTheme.normalize(null);
+            this.renderTheme();
+            this.saveTheme();
+        });
+
+        // Search, sorting and bulk actions
+        document.getElementById('tagSearch').addEventListener('input', (e) => {
+            this.tagQuery = e.target.value.trim().toLowerCase();
+            this.renderedTagCount = TAG_RENDER_BATCH;
+            this.renderTags();
+        });
+        document.getElementById('tagSort').addEventListener('change', (e) => {
+            this.tagSort = e.target.value;
+            this.renderedTagCount = TAG_RENDER_BATCH;
+            this.renderTags();
+        });
+        document.getElementById('tagSelectAll').addEventListener('change', (e) => this.selectAllTags(e.target.checked));
+        document.getElementById('bulkMoveBtn').addEventListener('click', () => {
+            this.moveSelectedTags(document.getElementById('bulkGroupSelect').value);
+        });
+        document.getElementById('bulkDeleteBtn').addEventListener('click', () => this.removeSelectedTags());
+        this.tagsObserver = new IntersectionObserver((entries) => {
+            if (entries.some(entry => entry.isIntersecting)) {
+                this.renderMoreTags();
+            }
+        }, { root: tagsContainer, rootMargin: '200px' });
+
+        // Tag actions (delete, edit details, move to another group)
+        tagsContainer.addEventListener('click', (e) => {
+            const deleteBtn = e.target.closest('.delete-btn');
+            if (deleteBtn) {
+                this.removeTag(deleteBtn.closest('.tag-item').dataset.tag);
+                return;
+            }
+
+            const editBtn = e.target.closest('.edit-btn');
+            if (editBtn) {
+                this.toggleTagDetails(editBtn.closest('.tag-item').dataset.tag);
+            }
+        });
+        tagsContainer.addEventListener('change', (e) => {
+            const key = e.target.closest('.tag-item').dataset.tag;
+            if (e.target.classList.contains('tag-select')) {
+                this.toggleTagSelection(key, e.target.checked);
+            } else if (e.target.classList.contains('tag-group-select')) {
+                this.moveTag(key, e.target.value);
+            } else if (e.target.dataset.field) {
+                this.updateTagField(key, e.target.dataset.field, e.target.type === 'checkbox' ? e.target.checked : e.target.value);
+            }
+        });
+
+        // Blocklist
+        blockAddBtn.addEventListener('click', () => this.addBlockedAccount());
+        [blockInput, blockReasonInput].forEach(input => {
+            input.addEventListener('keypress', (e) => {
+                if (e.key === 'Enter') {
+                    this.addBlockedAccount();
+                }
+            });
+        });
+        blocklistContainer.addEventListener('click', (e) => {
+            const deleteBtn = e.target.closest('.delete-btn');
+            if (deleteBtn) {
+                this.removeBlockedAccount(deleteBtn.closest('.tag-item').dataset.tag);
+            }
+        });
+        blockModeSelect.addEventListener('change', () => {
+            this.settings.blockMode = blockModeSelect.value;
+            this.saveSettings();
+        });
+
+        // How close a handle must be to a protected tag to be flagged as a look-alike
+        document.getElementById('lookalikeDistanceSelect').addEventListener('change', (e) => {
+            this.settings.lookalikeDistance = Number(e.target.value);
+            this.saveSettings();
+        });
+
+        // Desktop alerts
+        alertsSection.addEventListener('change', () => this.updateAlertSettings());
+
+        // Sighting history
+        historyFilters.addEventListener('input', () => this.renderHistory());
+        document.getElementById('historyExportCsv').addEventListener('click', () => this.exportHistory('csv'));
+        document.getElementById('historyExportJson').addEventListener('click', () => this.exportHistory('json'));
+        document.getElementById('historyClearBtn').addEventListener('click', () => this.clearHistory());
+
+        // Activity window for the stats panel
+        document.getElementById('activeWindowSelect').addEventListener('change', (e) => {
+            this.settings.activeWindowDays = Number(e.target.value);
+            this.updateStats();
+            this.saveSettings();
+        });
+
+        document.getElementById('restoreSyncBtn').addEventListener('click', () => this.restoreSync());
+
+        // Undo/redo and the change journal
+        document.getElementById('undoBtn').addEventListener('click', () => this.undo());
+        document.getElementById('redoBtn').addEventListener('click', () => this.redo());
+        document.getElementById('undoToastBtn').addEventListener('click', () => {
+            document.getElementById('undoToast').classList.remove('show');
+            this.undo();
+        });
+        document.getElementById('journalContainer').addEventListener('click', (e) => {
+            const restoreBtn = e.target.closest('.journal-restore');
+            if (restoreBtn) {
+                this.restoreJournalEntry(restoreBtn.closest('tr').dataset.entry);
+            }
+        });
+        // Text fields keep their own undo
+        document.addEventListener('keydown', (e) => {
+            if (!(e.ctrlKey || e.metaKey) || e.key.toLowerCase() !== 'z') return;
+            if (e.target.closest('input, textarea, select')) return;
+            e.preventDefault();
+            if (e.shiftKey) {
+                this.redo();
+            } else {
+                this.undo();
+            }
+        });
+
+        // Author name is stored with every new tag
+        authorInput.addEventListener('change', () => {
+            this.settings.authorName = authorInput.value.trim();
+            this.saveSettings();
+        });
 
         // Auto-focus input on page load
         tagInput.focus();
 
+        // Tag type pickers switch placeholders and input limits
+        tagTypeSelect.addEventListener('change', () => this.applyTypeToInput(tagTypeSelect, tagInput));
+        blockTypeSelect.addEventListener('change', () => this.applyTypeToInput(blockTypeSelect, blockInput));
+        this.applyTypeToInput(tagTypeSelect, tagInput);
+        this.applyTypeToInput(blockTypeSelect, blockInput);
+
         // Add input validation
-        tagInput.addEventListener('input', (e) => {
-            const value = e.target.value;
-            // Remove @ if user types it
-            if (value.startsWith('@')) {
-                e.target.value = value.substring(1);
-            }
-            // Limit to 15 characters
-            if (value.length > 15) {
-                e.target.value = value.substring(0, 15);
-            }
+        [[tagInput, tagTypeSelect], [blockInput, blockTypeSelect]].forEach(([input, typeSelect]) => {
+            input.addEventListener('input', (e) => {
+                const value = e.target.value;
+                // Links to a profile or post are parsed on add
+                if (typeSelect.value !== 'x' || value.includes('/')) return;
+                // Remove @ if user types it
+                if (value.startsWith('@')) {
+                    e.target.value = value.substring(1);
+                }
+                // Limit to 15 characters
+                if (value.length > 15) {
+                    e.target.value = value.substring(0, 15);
+                }
+            });
         });
     }
 
+    applyTypeToInput(typeSelect, input) {
+        const type = typeSelect.value;
+        input.placeholder = TAG_TYPES[type].placeholder;
+        // X.com handles are cut to 15 characters as they are typed; every type accepts full links
+        input.maxLength = 200;
+        const hasPrefix = type === 'x' || type === 'tiktok';
+        input.closest('.input-wrapper').querySelector('.input-prefix').textContent = hasPrefix ? '@' : '';
+        input.classList.toggle('no-prefix', !hasPrefix);
+    }
+
     addTag() {
         const tagInput = document.getElementById('tagInput');
-        const tag = tagInput.value.trim();
-
-        if (!tag) {
-            this.showNotification('Пожалуйста, введите имя пользователя', 'error');
+        const groupSelect = document.getElementById('tagGroupSelect');
+        const type = document.getElementById('tagTypeSelect').value;
+        if (this.splitBulkInput(tagInput.value).length > 1) {
+            this.addTagsBulk(tagInput.value);
             return;
         }
 
-        // Clean the tag (remove @ if present and extra spaces)
-        const cleanTag = tag.replace(/^@/, '').toLowerCase();
-
-        if (cleanTag.length < 2) {
-            this.showNotification('Имя пользователя должно содержать минимум 2 символа', 'error');
-            return;
-        }
+        const { value, error } = TagsStore.parseTagValue(type, tagInput.value);
 
-        if (cleanTag.length > 15) {
-            this.showNotification('Имя пользователя не может быть длиннее 15 символов', 'error');
+        if (error) {
+            this.showNotification(error, 'error');
             return;
         }
 
-        if (this.tags.includes(cleanTag)) {
-            this.showNotification('Этот пользователь уже есть в вашем списке', 'error');
+        const newTag = { type, value };
+        if (this.findTag(TagsStore.tagKey(newTag))) {
+            this.showNotification('Этот тег уже есть в вашем списке', 'error');
             return;
         }
 
         // Add tag to array
-        this.tags.push(cleanTag);
+        this.tags.push(TagsStore.createTag(newTag, groupSelect.value || this.groups[0].id, this.settings.authorName));
         
         // Clear input
         tagInput.value = '';
         
-        // Update last update time
-        this.lastUpdate = new Date();
-        
         // Re-render tags and stats
         this.renderTags();
         this.updateStats();
         
         // Show success message
-        this.showNotification(`@${cleanTag} успешно добавлен`, 'success');
+        this.showNotification(`${TagsStore.formatTag(newTag)} успешно добавлен`, 'success');
         
         // Auto-save
-        this.saveTags();
+        this.saveTags(`Добавлен ${TagsStore.formatTag(newTag)}`);
+    }
+
+    // Handles, links and addresses separated by spaces, new lines, commas or semicolons.
+    // Regex patterns are kept whole since they may contain commas
+    splitBulkInput(text) {
+        return text.split(/\s+/)
+            .flatMap(token => TagMatcher.isRegexPattern(token) ? [token] : token.split(/[,;]/))
+            .filter(Boolean);
+    }
+
+    // Every entry gets its own type from detectTagType, the same way lines of an imported text file do
+    addTagsBulk(text) {
+        const tagInput = document.getElementById('tagInput');
+        const groupId = document.getElementById('tagGroupSelect').value || this.groups[0].id;
+        const review = TagsTransfer.reviewList(this.splitBulkInput(text), this.tags, (entry, identity) =>
+            TagsStore.createTag(identity, groupId, this.settings.authorName)
+        );
+
+        // Invalid entries stay in the input to be fixed
+        tagInput.value = review.invalid.map(entry => entry.source).join(' ');
+
+        if (review.new.length) {
+            this.tags.push(...review.new);
+            this.renderTags();
+            this.updateStats();
+            this.saveTags(`Добавлено из списка: ${review.new.length} ${this.getTagCountText(review.new.length)}`);
+        }
+
+        const parts = [`Добавлено: ${review.new.length}`];
+        if (review.duplicate.length) parts.push(`уже в списке: ${review.duplicate.length}`);
+        if (review.invalid.length) parts.push(`с ошибками: ${review.invalid.length} (${review.invalid[0].source} - ${review.invalid[0].error})`);
+        this.showNotification(parts.join(', '), review.invalid.length ? 'error' : review.new.length ? 'success' : 'info');
     }
 
-    removeTag(tagToRemove) {
+    removeTag(key) {
+        const tagToRemove = this.findTag(key);
+        if (!tagToRemove) return;
+
         this.tags = this.tags.filter(tag => tag !== tagToRemove);
-        this.lastUpdate = new Date();
+        this.expandedTags.delete(key);
         this.renderTags();
         this.updateStats();
-        this.showNotification(`@${tagToRemove} удален из списка`, 'info');
-        this.saveTags();
+        this.saveTags(`Удален ${TagsStore.formatTag(tagToRemove)}`);
+        this.showUndoToast(`${TagsStore.formatTag(tagToRemove)} удален из списка`);
     }
 
-    renderTags() {
-        const container = document.getElementById('tagsContainer');
-        const tagCount = document.getElementById('tagCount');
+    addBlockedAccount() {
+        const blockInput = document.getElementById('blockInput');
+        const blockReasonInput = document.getElementById('blockReasonInput');
+        const type = document.getElementById('blockTypeSelect').value;
+        const { value, error } = TagsStore.parseTagValue(type, blockInput.value);
 
-        // Update tag count
-        tagCount.textContent = `${this.tags.length} ${this.getTagCountText(this.tags.length)}`;
+        if (error) {
+            this.showNotification(error, 'error');
+            return;
+        }
 
-        if (this.tags.length === 0) {
-            container.innerHTML = `
-                <div class="empty-state">
-                    <svg viewBox="0 0 24 24" fill="currentColor">
-                        <path d="M12 2C6.48 2 2 6.48 2 12s4.48 10 10 10 10-4.48 10-10S17.52 2 12 2zm-2 15l-5-5 1.41-1.41L10 14.17l7.59-7.59L19 8l-9 9z"/>
-                    </svg>
-                    <h4>Пока нет тегов</h4>
-                    <p>Добавьте своих любимых авторов X.com, чтобы начать</p>
-                </div>
-            `;
+        const entry = { type, value };
+        if (this.findBlocked(TagsStore.tagKey(entry))) {
+            this.showNotification('Это значение уже в черном списке', 'error');
             return;
         }
 
-        container.innerHTML = this.tags.map(tag => `
-            <div class="tag-item" data-tag="${tag}">
-                <span class="tag-text">${tag}</span>
-                <button class="delete-btn" onclick="tagsManagerPage.removeTag('${tag}')" title="Удалить @${tag}">
-                    <svg width="16" height="16" viewBox="0 0 24 24" fill="currentColor">
-                        <path d="M19 6.41L17.59 5 12 10.59 6.41 5 5 6.41 10.59 12 5 17.59 6.41 19 12 13.41 17.59 19 19 17.59 13.41 12z"/>
-                    </svg>
-                </button>
-            </div>
-        `).join('');
-    }
+        this.blocklist.push({
+            ...entry,
+            reason: blockReasonInput.value.trim(),
+            createdAt: new Date().toISOString(),
+            addedBy: this.settings.authorName
+        });
 
-    getTagCountText(count) {
-        if (count === 0) return 'тегов';
-        if (count === 1) return 'тег';
-        if (count >= 2 && count <= 4) return 'тега';
-        return 'тегов';
+        blockInput.value = '';
+        blockReasonInput.value = '';
+        this.renderBlocklist();
+        this.renderTags();
+        this.updateStats();
+        this.showNotification(`${TagsStore.formatTag(entry)} добавлен в черный список`, 'success');
+        this.saveTags(`${TagsStore.formatTag(entry)} добавлен в черный список`);
     }
 
-    updateStats() {
-        const totalTags = document.getElementById('totalTags');
-        const activeTags = document.getElementById('activeTags');
-        const lastUpdate = document.getElementById('lastUpdate');
+    removeBlockedAccount(key) {
+        const removed = this.findBlocked(key);
+        if (!removed) return;
 
-        totalTags.textContent = this.tags.length;
-        activeTags.textContent = this.tags.length;
+        this.blocklist = this.blocklist.filter(entry => entry !== removed);
+        this.renderBlocklist();
+        this.renderTags();
+        this.updateStats();
+        this.saveTags(`${TagsStore.formatTag(removed)} убран из черного списка`);
+        this.showUndoToast(`${TagsStore.formatTag(removed)} удален из черного списка`);
+    }
 
-        if (this.lastUpdate) {
-            lastUpdate.textContent = this.formatDate(this.lastUpdate);
+    toggleTagSelection(key, selected) {
+        if (selected) {
+            this.selectedTags.add(key);
         } else {
-            lastUpdate.textContent = 'Никогда';
+            this.selectedTags.delete(key);
         }
+        this.updateBulkBar();
     }
 
-    formatDate(date) {
-        const now = new Date();
-        const diff = now - date;
-        const minutes = Math.floor(diff / 60000);
-        const hours = Math.floor(diff / 3600000);
-        const days = Math.floor(diff / 86400000);
-
-        if (minutes < 1) return 'Только что';
-        if (minutes < 60) return `${minutes} мин назад`;
-        if (hours < 24) return `${hours} ч назад`;
-        if (days < 7) return `${days} дн назад`;
-        
-        return date.toLocaleDateString('ru-RU', {
-            day: '2-digit',
-            month: '2-digit',
-            year: 'numeric',
-            hour: '2-digit',
-            minute: '2-digit'
+    // Selects every own tag that matches the search, including ones not rendered yet
+    selectAllTags(selected) {
+        this.visibleTags.filter(tag => !tag.feed).forEach(tag => {
+            const key = TagsStore.tagKey(tag);
+            if (selected) {
+                this.selectedTags.add(key);
+            } else {
+                this.selectedTags.delete(key);
+            }
         });
+        this.renderTags();
     }
 
-    async saveTags() {
-        try {
-            await chrome.storage.sync.set({ 
-                'xcom_tags': this.tags,
-                'last_update': this.lastUpdate ? this.lastUpdate.toISOString() : null
-            });
-        } catch (error) {
-            console.error('Error saving tags:', error);
-            this.showNotification('Ошибка при сохранении тегов', 'error');
-        }
+    getSelectedTags() {
+        return this.tags.filter(tag => this.selectedTags.has(TagsStore.tagKey(tag)));
     }
 
-    async loadTags() {
-        try {
-            const result = await chrome.storage.sync.get(['xcom_tags', 'last_update']);
-            this.tags = result.xcom_tags || [];
-            this.lastUpdate = result.last_update ? new Date(result.last_update) : null;
-        } catch (error) {
-            console.error('Error loading tags:', error);
-            this.tags = [];
-            this.lastUpdate = null;
-        }
+    removeSelectedTags() {
+        const selected = new Set(this.getSelectedTags());
+        if (selected.size === 0) return;
+
+        this.tags = this.tags.filter(tag => !selected.has(tag));
+        this.selectedTags.clear();
+        this.renderTags();
+        this.updateStats();
+        this.saveTags(`Удалено выбранных: ${selected.size} ${this.getTagCountText(selected.size)}`);
+        this.showUndoToast(`Удалено ${selected.size} ${this.getTagCountText(selected.size)}`);
     }
 
-    clearAllTags() {
-        if (this.tags.length === 0) {
-            this.showNotification('Нет тегов для удаления', 'info');
+    moveSelectedTags(groupId) {
+        const selected = this.getSelectedTags();
+        const group = this.findGroup(groupId);
+        if (selected.length === 0 || !group) return;
+
+        selected.forEach(tag => { tag.group = group.id; });
+        this.selectedTags.clear();
+        this.renderTags();
+        this.updateStats();
+        this.saveTags(`${selected.length} ${this.getTagCountText(selected.length)} перемещено в группу «${group.name}»`);
+        this.showUndoToast(`${selected.length} ${this.getTagCountText(selected.length)} перемещено в группу «${group.name}»`);
+    }
+
+    updateBulkBar() {
+        const ownVisible = this.visibleTags.filter(tag => !tag.feed);
+        const selectedVisible = ownVisible.filter(tag => this.selectedTags.has(TagsStore.tagKey(tag))).length;
+        const selectAll = document.getElementById('tagSelectAll');
+
+        selectAll.checked = ownVisible.length > 0 && selectedVisible === ownVisible.length;
+        selectAll.indeterminate = selectedVisible > 0 && selectedVisible < ownVisible.length;
+        selectAll.disabled = ownVisible.length === 0;
+        document.getElementById('bulkCount').textContent = this.selectedTags.size
+            ? `Выбрано: ${this.selectedTags.size}`
+            : 'Выбрать все';
+        document.getElementById('bulkActions').hidden = this.selectedTags.size === 0;
+    }
+
+    findBlocked(key) {
+        return this.blocklist.find(entry => TagsStore.tagKey(entry) === key);
+    }
+
+    renderBlocklist() {
+        const container = document.getElementById('blocklistContainer');
+        const count = document.getElementById('blocklistCount');
+
+        count.textContent = `${this.blocklist.length} ${this.getTagCountText(this.blocklist.length)}`;
+
+        const { blocklist: feedBlocklist } = this.getFeedLists();
+        if (this.blocklist.length === 0 && feedBlocklist.length === 0) {
+            container.replaceChildren(this.createEmptyState('Черный список пуст', 'Добавьте аккаунты, монеты которых нужно помечать как опасные'));
             return;
         }
 
-        if (confirm('Вы уверены, что хотите удалить все теги? Это действие нельзя отменить.')) {
-            this.tags = [];
-            this.lastUpdate = new Date();
-            this.renderTags();
-            this.updateStats();
-            this.saveTags();
-            this.showNotification('Все теги удалены', 'info');
+        container.replaceChildren(
+            ...this.blocklist.map(entry => DomBuilder.createElement('div', {
+                class: 'tag-item blocked',
+                'data-tag': TagsStore.tagKey(entry)
+            }, [
+                DomBuilder.createElement('div', { class: 'tag-row' }, [
+                    this.createTagLabel(entry),
+                    DomBuilder.createElement('div', { class: 'tag-actions' }, [
+                        this.createDeleteButton(`Убрать ${TagsStore.formatTag(entry)} из черного списка`)
+                    ])
+                ]),
+                this.createReasonPreview(entry)
+            ])),
+            ...feedBlocklist.map(entry => DomBuilder.createElement('div', { class: 'tag-item blocked readonly' }, [
+                DomBuilder.createElement('div', { class: 'tag-row' }, [
+                    this.createTagLabel(entry),
+                    DomBuilder.createElement('span', { class: 'feed-badge', title: 'Из подписки, только чтение' }, [`📡 ${entry.feed.name}`])
+                ]),
+                this.createReasonPreview(entry)
+            ]))
+        );
+    }
+
+    createReasonPreview(entry) {
+        if (!entry.reason) return null;
+        return DomBuilder.createElement('p', { class: 'tag-note-preview', title: entry.reason }, [entry.reason]);
+    }
+
+    moveTag(key, groupId) {
+        const tag = this.findTag(key);
+        const group = this.findGroup(groupId);
+        if (!tag || !group) return;
+
+        tag.group = group.id;
+        this.renderTags();
+        this.updateStats();
+        this.showNotification(`${TagsStore.formatTag(tag)} перемещен в группу «${group.name}»`, 'info');
+        this.saveTags(`${TagsStore.formatTag(tag)} перемещен в группу «${group.name}»`);
+    }
+
+    toggleTagDetails(key) {
+        if (this.expandedTags.has(key)) {
+            this.expandedTags.delete(key);
+        } else {
+            this.expandedTags.add(key);
         }
+        this.renderTags();
     }
 
-    exportTags() {
-        if (this.tags.length === 0) {
-            this.showNotification('Нет тегов для экспорта', 'info');
+    updateTagField(key, field, value) {
+        const tag = this.findTag(key);
+        if (!tag) return;
+
+        if (field === 'note') {
+            tag.note = value.trim();
+        } else if (field === 'links') {
+            tag.links = value.split('\n').map(link => link.trim()).filter(Boolean);
+        } else if (field === 'trust') {
+            tag.trust = TagsStore.normalizeTrust(value);
+        } else if (field === 'protect') {
+            tag.protect = tag.type === 'x' && value === true;
+            this.renderTags();
+        } else {
             return;
         }
 
-        const data = {
-            tags: this.tags,
-            exportDate: new Date().toISOString(),
-            version: '1.0'
+        this.updateStats();
+        this.saveTags(`Изменены детали ${TagsStore.formatTag(tag)}`);
+    }
+
+    renderTagActivity(tag) {
+        const stats = this.historyStats.get(TagsStore.tagKey(tag));
+        const text = stats
+            ? `Монет: ${stats.coins} · впервые ${this.formatDate(new Date(stats.firstSeen))}` +
+              ` · последний раз ${this.formatDate(new Date(stats.lastSeen))} · ${stats.perDay.toFixed(2)} в день`
+            : 'На pulse пока не замечен';
+        return DomBuilder.createElement('p', { class: 'tag-meta' }, [text]);
+    }
+
+    findTag(key) {
+        return this.tags.find(tag => TagsStore.tagKey(tag) === key);
+    }
+
+    // Tag name with a type marker for everything that isn't an X.com username
+    createTagLabel(tag) {
+        return DomBuilder.createElement('span', { class: 'tag-text', title: tag.value }, [
+            tag.type === 'x' ? null : DomBuilder.createElement('span', { class: 'tag-type' }, [TAG_TYPES[tag.type].label]),
+            TagsStore.formatTag(tag)
+        ]);
+    }
+
+    findGroup(groupId) {
+        return this.groups.find(group => group.id === groupId);
+    }
+
+    addGroup() {
+        const group = {
+            id: TagsStore.generateGroupId(),
+            name: `Группа ${this.groups.length + 1}`,
+            color: '#1da1f2',
+            badge: '',
+            alerts: true
         };
 
-        const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
-        const url = URL.createObjectURL(blob);
-        const a = document.createElement('a');
-        a.href = url;
-        a.download = `xcom-tags-${new Date().toISOString().split('T')[0]}.json`;
-        document.body.appendChild(a);
-        a.click();
-        document.body.removeChild(a);
-        URL.revokeObjectURL(url);
+        this.groups.push(group);
+        this.renderGroups();
+        this.renderTags();
+        this.saveTags(`Добавлена группа «${group.name}»`);
+    }
 
-        this.showNotification('Теги успешно экспортированы', 'success');
+    handleGroupChange(e) {
+        const row = e.target.closest('.group-item');
+        if (!row) return;
+
+        const group = this.findGroup(row.dataset.group);
+        const field = e.target.dataset.field;
+        if (!group || !field) return;
+
+        const value = e.target.type === 'checkbox' ? e.target.checked : e.target.value.trim();
+        if (field === 'name' && !value) {
+            e.target.value = group.name;
+            this.showNotification('Название группы не может быть пустым', 'error');
+            return;
+        }
+
+        group[field] = value;
+        this.renderGroups();
+        this.renderTags();
+        this.saveTags(`Изменена группа «${group.name}»`);
     }
 
-    importTags(event) {
-        const file = event.target.files[0];
-        if (!file) return;
+    handleGroupClick(e) {
+        const button = e.target.closest('button[data-action]');
+        if (!button) return;
 
-        const reader = new FileReader();
-        reader.onload = (e) => {
-            try {
-                const data = JSON.parse(e.target.result);
-                const importedTags = data.tags || [];
+        const groupId = button.closest('.group-item').dataset.group;
+        const action = button.dataset.action;
 
-                if (!Array.isArray(importedTags) || importedTags.length === 0) {
-                    this.showNotification('Файл не содержит валидных тегов', 'error');
-                    return;
-                }
+        if (action === 'up') this.moveGroup(groupId, -1);
+        if (action === 'down') this.moveGroup(groupId, 1);
+        if (action === 'delete') this.removeGroup(groupId);
+    }
 
-                // Merge tags (avoid duplicates)
-                const newTags = importedTags.filter(tag => !this.tags.includes(tag));
-                this.tags = [...this.tags, ...newTags];
-                this.lastUpdate = new Date();
+    // Group order defines priority: a coin linked to several groups gets the style of the topmost one
+    moveGroup(groupId, direction) {
+        const index = this.groups.findIndex(group => group.id === groupId);
+        const target = index + direction;
+        if (index === -1 || target < 0 || target >= this.groups.length) return;
 
-                this.renderTags();
-                this.updateStats();
-                this.saveTags();
+        [this.groups[index], this.groups[target]] = [this.groups[target], this.groups[index]];
+        this.renderGroups();
+        this.renderTags();
+        this.saveTags('Изменен порядок групп');
+    }
 
-                this.showNotification(
-                    `Импортировано ${newTags.length} новых тегов из ${importedTags.length}`, 
-                    'success'
-                );
-            } catch (error) {
-                console.error('Error importing tags:', error);
-                this.showNotification('Ошибка при импорте файла', 'error');
-            }
-        };
+    removeGroup(groupId) {
+        if (this.groups.length === 1) {
+            this.showNotification('Нельзя удалить последнюю группу', 'error');
+            return;
+        }
 
-        reader.readAsText(file);
-        event.target.value = ''; // Reset file input
+        const group = this.findGroup(groupId);
+        if (!group) return;
+
+        const fallback = this.groups.find(g => g.id !== groupId);
+        const affected = this.tags.filter(tag => tag.group === groupId);
+        if (affected.length && !confirm(`В группе «${group.name}» ${affected.length} ${this.getTagCountText(affected.length)}. Они будут перемещены в «${fallback.name}». Продолжить?`)) {
+            return;
+        }
+
+        affected.forEach(tag => { tag.group = fallback.id; });
+        this.groups = this.groups.filter(g => g.id !== groupId);
+        this.renderGroups();
+        this.renderTags();
+        this.updateStats();
+        this.saveTags(`Удалена группа «${group.name}»`);
+        this.showUndoToast(`Группа «${group.name}» удалена`);
+    }
+
+    renderGroups() {
+        const container = document.getElementById('groupsContainer');
+        const groupSelect = document.getElementById('tagGroupSelect');
+        const selected = groupSelect.value;
+
+        this.fillGroupSelect(groupSelect, selected);
+        const bulkGroupSelect = document.getElementById('bulkGroupSelect');
+        this.fillGroupSelect(bulkGroupSelect, bulkGroupSelect.value);
+
+        container.replaceChildren(...this.groups.map((group, index) => DomBuilder.createElement('div', { class: 'group-item', 'data-group': group.id }, [
+            DomBuilder.createElement('span', { class: 'group-priority' }, [String(index + 1)]),
+            DomBuilder.createElement('input', { type: 'color', class: 'group-color', 'data-field': 'color', value: group.color, title: 'Цвет подсветки' }),
+            DomBuilder.createElement('input', { type: 'text', class: 'group-name', 'data-field': 'name', value: group.name, maxlength: 30, placeholder: 'Название' }),
+            DomBuilder.createElement('input', { type: 'text', class: 'group-badge', 'data-field': 'badge', value: group.badge, maxlength: 12, placeholder: 'Текст значка' }),
+            DomBuilder.createElement('label', { class: 'group-alerts', title: 'Уведомления о новых монетах аккаунтов этой группы' }, [
+                DomBuilder.createElement('input', { type: 'checkbox', 'data-field': 'alerts', checked: group.alerts }),
+                '🔔'
+            ]),
+            DomBuilder.createElement('div', { class: 'group-actions' }, [
+                DomBuilder.createElement('button', { 'data-action': 'up', title: 'Повысить приоритет', disabled: index === 0 }, ['↑']),
+                DomBuilder.createElement('button', { 'data-action': 'down', title: 'Понизить приоритет', disabled: index === this.groups.length - 1 }, ['↓']),
+                DomBuilder.createElement('button', { 'data-action': 'delete', class: 'group-delete', title: 'Удалить группу' }, ['✕'])
+            ])
+        ])));
+
+        // Subscriptions pick their group from the same list
+        this.renderFeeds();
+    }
+
+    fillGroupSelect(select, selectedId) {
+        select.replaceChildren(...this.groups.map(group => DomBuilder.createElement('option', {
+            value: group.id,
+            selected: group.id === selectedId
+        }, [group.name])));
+    }
+
+    createDeleteButton(title) {
+        const svg = document.createElementNS('http://www.w3.org/2000/svg', 'svg');
+        svg.setAttribute('width', '16');
+        svg.setAttribute('height', '16');
+        svg.setAttribute('viewBox', '0 0 24 24');
+        svg.setAttribute('fill', 'currentColor');
+        const path = document.createElementNS('http://www.w3.org/2000/svg', 'path');
+        path.setAttribute('d', DELETE_ICON_PATH);
+        svg.appendChild(path);
+        return DomBuilder.createElement('button', { class: 'delete-btn', title }, [svg]);
+    }
+
+    createEmptyState(title, text) {
+        return DomBuilder.createElement('div', { class: 'empty-state' }, [
+            DomBuilder.createElement('h4', {}, [title]),
+            DomBuilder.createElement('p', {}, [text])
+        ]);
+    }
+
+    // `rows` are ready <tr> elements
+    createTable(className, headers, rows) {
+        return DomBuilder.createElement('table', { class: className }, [
+            DomBuilder.createElement('thead', {}, [
+                DomBuilder.createElement('tr', {}, headers.map(header => DomBuilder.createElement('th', {}, [header])))
+            ]),
+            DomBuilder.createElement('tbody', {}, rows)
+        ]);
+    }
+
+    renderTags() {
+        const container = document.getElementById('tagsContainer');
+        const tagCount = document.getElementById('tagCount');
+
+        // Update tag count
+        tagCount.textContent = `${this.tags.length} ${this.getTagCountText(this.tags.length)}`;
+
+        // Tags deleted or undone since they were picked no longer count as selected
+        const ownKeys = new Set(this.tags.map(tag => TagsStore.tagKey(tag)));
+        this.selectedTags.forEach(key => {
+            if (!ownKeys.has(key)) this.selectedTags.delete(key);
+        });
+
+        const { tags: feedTags } = this.getFeedLists();
+        this.visibleTags = this.sortTags(this.filterTags([...this.tags, ...feedTags]));
+        this.updateBulkBar();
+        this.tagsObserver.disconnect();
+
+        if (this.tags.length === 0 && feedTags.length === 0) {
+            container.innerHTML = `
+                <div class="empty-state">
+                    <svg viewBox="0 0 24 24" fill="currentColor">
+                        <path d="M12 2C6.48 2 2 6.48 2 12s4.48 10 10 10 10-4.48 10-10S17.52 2 12 2zm-2 15l-5-5 1.41-1.41L10 14.17l7.59-7.59L19 8l-9 9z"/>
+                    </svg>
+                    <h4>Пока нет тегов</h4>
+                    <p>Добавьте своих любимых авторов X.com, чтобы начать</p>
+                </div>
+            `;
+            return;
+        }
+
+        if (this.visibleTags.length === 0) {
+            container.replaceChildren(this.createEmptyState('Ничего не найдено', `Ни один тег не подходит под «${this.tagQuery}»`));
+            return;
+        }
+
+        container.replaceChildren(...this.renderTagBatch(0, this.renderedTagCount));
+        this.observeTagsEnd();
+    }
+
+    renderMoreTags() {
+        const container = document.getElementById('tagsContainer');
+        const start = this.renderedTagCount;
+        this.renderedTagCount += TAG_RENDER_BATCH;
+        container.querySelector('.tags-more').remove();
+        container.append(...this.renderTagBatch(start, this.renderedTagCount));
+        this.observeTagsEnd();
+    }
+
+    // Tags from `start` to `end` of the visible list, plus a marker that loads the next batch.
+    // Tags may come from imports and feeds, so everything is built as elements, never as markup
+    renderTagBatch(start, end) {
+        const blockedKeys = new Set(this.blocklist.map(entry => TagsStore.tagKey(entry)));
+        const items = this.visibleTags.slice(start, end)
+            .map(tag => tag.feed ? this.renderFeedTag(tag) : this.renderTagItem(tag, blockedKeys));
+        if (end >= this.visibleTags.length) return items;
+        return [...items, DomBuilder.createElement('div', { class: 'tags-more' }, [`Показано ${end} из ${this.visibleTags.length}`])];
+    }
+
+    observeTagsEnd() {
+        this.tagsObserver.disconnect();
+        const more = document.querySelector('#tagsContainer .tags-more');
+        if (more) this.tagsObserver.observe(more);
+    }
+
+    filterTags(tags) {
+        if (!this.tagQuery) return tags;
+        return tags.filter(tag => {
+            const group = this.findGroup(tag.group);
+            return [tag.value, TagsStore.formatTag(tag), tag.note, tag.addedBy, group && group.name, tag.feed && tag.feed.name]
+                .some(text => text && text.toLowerCase().includes(this.tagQuery));
+        });
+    }
+
+    // "added" keeps the stored order, which is the order tags were added in
+    sortTags(tags) {
+        if (this.tagSort === 'added') return tags;
+
+        const byName = (a, b) => TagsStore.formatTag(a).localeCompare(TagsStore.formatTag(b));
+        const sorted = [...tags];
+        if (this.tagSort === 'name') {
+            sorted.sort(byName);
+        } else if (this.tagSort === 'newest') {
+            sorted.sort((a, b) => (b.createdAt || '').localeCompare(a.createdAt || ''));
+        } else if (this.tagSort === 'group') {
+            const priority = new Map(this.groups.map((group, index) => [group.id, index]));
+            sorted.sort((a, b) => (priority.get(a.group) ?? 0) - (priority.get(b.group) ?? 0) || byName(a, b));
+        }
+        return sorted;
+    }
+
+    renderTagItem(tag, blockedKeys) {
+        const group = this.findGroup(tag.group) || this.groups[0];
+        const key = TagsStore.tagKey(tag);
+        const expanded = this.expandedTags.has(key);
+        const blocked = blockedKeys.has(key);
+
+        const groupSelect = DomBuilder.createElement('select', { class: 'tag-group-select', title: 'Группа' });
+        this.fillGroupSelect(groupSelect, group.id);
+
+        const item = DomBuilder.createElement('div', {
+            class: `tag-item ${expanded ? 'expanded' : ''} ${blocked ? 'blocked' : ''}`,
+            'data-tag': key
+        }, [
+            DomBuilder.createElement('div', { class: 'tag-row' }, [
+                DomBuilder.createElement('span', { class: 'tag-label' }, [
+                    DomBuilder.createElement('input', { type: 'checkbox', class: 'tag-select', title: 'Выбрать', checked: this.selectedTags.has(key) }),
+                    this.createTagLabel(tag),
+                    blocked && DomBuilder.createElement('span', {
+                        class: 'blocked-marker',
+                        title: 'Аккаунт также в черном списке - на страницах будет показано предупреждение'
+                    }, ['⚠']),
+                    tag.trust && DomBuilder.createElement('span', { class: 'tag-trust', title: 'Уровень доверия' }, ['★'.repeat(tag.trust)]),
+                    tag.protect && DomBuilder.createElement('span', {
+                        class: 'protected-marker',
+                        title: 'Похожие аккаунты помечаются как возможные подделки'
+                    }, ['🛡'])
+                ]),
+                DomBuilder.createElement('div', { class: 'tag-actions' }, [
+                    groupSelect,
+                    DomBuilder.createElement('button', { class: `edit-btn ${tag.note ? 'has-note' : ''}`, title: 'Заметка и детали' }, ['✎']),
+                    this.createDeleteButton(`Удалить ${TagsStore.formatTag(tag)}`)
+                ])
+            ]),
+            tag.note && !expanded && DomBuilder.createElement('p', { class: 'tag-note-preview' }, [tag.note]),
+            expanded && this.renderTagDetails(tag)
+        ]);
+        item.style.borderLeft = `4px solid ${blocked ? BLOCKLIST_GROUP.color : group.color}`;
+        return item;
+    }
+
+    // Tags from subscriptions can't be edited here; they change when the feed does
+    renderFeedTag(tag) {
+        const group = this.findGroup(tag.group) || this.groups[0];
+        const blocked = Boolean(this.findBlocked(TagsStore.tagKey(tag)));
+        const item = DomBuilder.createElement('div', { class: `tag-item readonly ${blocked ? 'blocked' : ''}` }, [
+            DomBuilder.createElement('div', { class: 'tag-row' }, [
+                DomBuilder.createElement('span', { class: 'tag-label' }, [
+                    this.createTagLabel(tag),
+                    tag.trust && DomBuilder.createElement('span', { class: 'tag-trust', title: 'Уровень доверия' }, ['★'.repeat(tag.trust)])
+                ]),
+                DomBuilder.createElement('span', {
+                    class: 'feed-badge',
+                    title: `Из подписки, только чтение · группа «${group.name}»`
+                }, [`📡 ${tag.feed.name}`])
+            ]),
+            tag.note && DomBuilder.createElement('p', { class: 'tag-note-preview' }, [tag.note])
+        ]);
+        item.style.borderLeft = `4px solid ${blocked ? BLOCKLIST_GROUP.color : group.color}`;
+        return item;
+    }
+
+    renderTagDetails(tag) {
+        const trustSelect = DomBuilder.createElement('select', { 'data-field': 'trust' }, ['', 1, 2, 3, 4, 5].map(value =>
+            DomBuilder.createElement('option', { value, selected: (tag.trust || '') === value }, [value ? '★'.repeat(value) : '—'])
+        ));
+        const note = DomBuilder.createElement('textarea', {
+            'data-field': 'note',
+            rows: 2,
+            maxlength: 500,
+            placeholder: 'Почему этот аккаунт в списке?'
+        });
+        note.value = tag.note;
+        const links = DomBuilder.createElement('textarea', { 'data-field': 'links', rows: 2, placeholder: 'https://...' });
+        links.value = tag.links.join('\n');
+
+        return DomBuilder.createElement('div', { class: 'tag-details' }, [
+            DomBuilder.createElement('label', {}, [DomBuilder.createElement('span', {}, ['Заметка']), note]),
+            DomBuilder.createElement('label', {}, [DomBuilder.createElement('span', {}, ['Ссылки (по одной на строку)']), links]),
+            DomBuilder.createElement('label', { class: 'tag-details-inline' }, [DomBuilder.createElement('span', {}, ['Доверие']), trustSelect]),
+            tag.type === 'x' && DomBuilder.createElement('label', { class: 'tag-details-inline' }, [
+                DomBuilder.createElement('input', { type: 'checkbox', 'data-field': 'protect', checked: tag.protect }),
+                DomBuilder.createElement('span', {}, ['Защищать от подделок: помечать похожие аккаунты (eIonmusk, elon_musk1)'])
+            ]),
+            this.renderTagActivity(tag),
+            DomBuilder.createElement('p', { class: 'tag-meta' }, [
+                `Добавлен: ${tag.createdAt ? this.formatDate(new Date(tag.createdAt)) : 'неизвестно'}`,
+                tag.addedBy ? ` · ${tag.addedBy}` : null
+            ])
+        ]);
+    }
+
+    getTagCountText(count) {
+        if (count === 0) return 'тегов';
+        if (count === 1) return 'тег';
+        if (count >= 2 && count <= 4) return 'тега';
+        return 'тегов';
+    }
+
+    updateStats() {
+        const totalTags = document.getElementById('totalTags');
+        const activeTags = document.getElementById('activeTags');
+        const lastUpdate = document.getElementById('lastUpdate');
+
+        const windowStart = Date.now() - this.settings.activeWindowDays * 86400000;
+        const active = this.tags.filter(tag => {
+            const stats = this.historyStats.get(TagsStore.tagKey(tag));
+            return stats && stats.lastSeen >= windowStart;
+        });
+
+        totalTags.textContent = this.tags.length;
+        activeTags.textContent = active.length;
+
+        const lastChange = ChangeJournal.getLastUpdate(this.journal);
+        if (lastChange) {
+            lastUpdate.textContent = this.formatDate(lastChange);
+        } else {
+            lastUpdate.textContent = 'Никогда';
+        }
+
+        this.renderLeaderboard(windowStart);
+        this.renderAccountStats();
+    }
+
+    // Most active accounts by coins first seen within the activity window
+    renderLeaderboard(windowStart) {
+        const container = document.getElementById('leaderboard');
+        const leaders = [...this.historyStats.entries()]
+            .map(([key, stats]) => ({
+                key,
+                recent: stats.times.filter(time => time >= windowStart).length
+            }))
+            .filter(leader => leader.recent > 0)
+            .sort((a, b) => b.recent - a.recent)
+            .slice(0, 10);
+
+        if (leaders.length === 0) {
+            container.replaceChildren(DomBuilder.createElement('p', { class: 'section-hint' }, ['За выбранный период монет не замечено']));
+            return;
+        }
+
+        const max = leaders[0].recent;
+        container.replaceChildren(...leaders.map((leader, index) => {
+            const bar = DomBuilder.createElement('span');
+            bar.style.width = `${Math.round(leader.recent / max * 100)}%`;
+            return DomBuilder.createElement('div', { class: 'leader-row' }, [
+                DomBuilder.createElement('span', { class: 'leader-rank' }, [String(index + 1)]),
+                DomBuilder.createElement('span', { class: 'leader-name' }, [TagsStore.formatTag(TagsStore.parseTagKey(leader.key))]),
+                DomBuilder.createElement('span', { class: 'leader-bar' }, [bar]),
+                DomBuilder.createElement('span', { class: 'leader-count' }, [String(leader.recent)])
+            ]);
+        }));
+    }
+
+    renderAccountStats() {
+        const container = document.getElementById('accountStats');
+        const rows = this.tags
+            .map(tag => ({ tag, stats: this.historyStats.get(TagsStore.tagKey(tag)) }))
+            .sort((a, b) => (b.stats ? b.stats.coins : 0) - (a.stats ? a.stats.coins : 0));
+
+        if (rows.length === 0) {
+            container.replaceChildren();
+            return;
+        }
+
+        container.replaceChildren(this.createTable('history-table', ['Аккаунт', 'Монет', 'Впервые', 'Последний раз', 'В день'],
+            rows.map(({ tag, stats }) => DomBuilder.createElement('tr', {}, [
+                TagsStore.formatTag(tag),
+                String(stats ? stats.coins : 0),
+                stats ? this.formatDate(new Date(stats.firstSeen)) : '—',
+                stats ? this.formatDate(new Date(stats.lastSeen)) : '—',
+                stats ? stats.perDay.toFixed(2) : '—'
+            ].map(text => DomBuilder.createElement('td', {}, [text]))))
+        ));
+    }
+
+    formatDate(date) {
+        const now = new Date();
+        const diff = now - date;
+        const minutes = Math.floor(diff / 60000);
+        const hours = Math.floor(diff / 3600000);
+        const days = Math.floor(diff / 86400000);
+
+        if (minutes < 1) return 'Только что';
+        if (minutes < 60) return `${minutes} мин назад`;
+        if (hours < 24) return `${hours} ч назад`;
+        if (days < 7) return `${days} дн назад`;
+        
+        return date.toLocaleDateString('ru-RU', {
+            day: '2-digit',
+            month: '2-digit',
+            year: 'numeric',
+            hour: '2-digit',
+            minute: '2-digit'
+        });
+    }
+
+    // Every change to the lists goes through here: it is saved, written to the journal and can be undone
+    async saveTags(summary, { undoable = true } = {}) {
+        const snapshot = this.takeSnapshot();
+        if (undoable && this.savedSnapshot) {
+            this.undoStack.push({ snapshot: this.savedSnapshot, summary });
+            this.undoStack.splice(0, this.undoStack.length - UNDO_LIMIT);
+            this.redoStack = [];
+        }
+        this.savedSnapshot = snapshot;
+        this.updateUndoButtons();
+
+        try {
+            const { fallback } = await TagsStore.save({
+                tags: this.tags,
+                groups: this.groups,
+                blocklist: this.blocklist
+            });
+            if (fallback) {
+                this.showNotification('Теги не помещаются в синхронизацию Chrome и сохранены только на этом устройстве', 'error');
+            }
+        } catch (error) {
+            console.error('Error saving tags:', error);
+            this.showNotification(this.getSaveErrorText(error), 'error');
+        }
+
+        try {
+            this.journal = await ChangeJournal.record(summary, snapshot);
+        } catch (error) {
+            console.error('Error writing change journal:', error);
+        }
+        this.renderJournal();
+        this.updateStats();
+        this.renderStorageUsage();
+    }
+
+    // Feed tags are merged in on load and never part of the saved lists
+    takeSnapshot() {
+        return structuredClone({
+            tags: this.tags,
+            groups: this.groups,
+            blocklist: this.blocklist
+        });
+    }
+
+    applySnapshot(snapshot) {
+        const copy = structuredClone(snapshot);
+        this.tags = copy.tags;
+        this.groups = copy.groups;
+        this.blocklist = copy.blocklist;
+        this.expandedTags.clear();
+        this.renderGroups();
+        this.renderTags();
+        this.renderBlocklist();
+    }
+
+    undo() {
+        const step = this.undoStack.pop();
+        if (!step) return;
+
+        this.redoStack.push({ snapshot: this.savedSnapshot, summary: step.summary });
+        this.applySnapshot(step.snapshot);
+        this.saveTags(`Отменено: ${step.summary}`, { undoable: false });
+        this.showNotification(`Отменено: ${step.summary}`, 'info');
+    }
+
+    redo() {
+        const step = this.redoStack.pop();
+        if (!step) return;
+
+        this.undoStack.push({ snapshot: this.savedSnapshot, summary: step.summary });
+        this.applySnapshot(step.snapshot);
+        this.saveTags(`Повторено: ${step.summary}`, { undoable: false });
+        this.showNotification(`Повторено: ${step.summary}`, 'info');
+    }
+
+    updateUndoButtons() {
+        const undoBtn = document.getElementById('undoBtn');
+        const redoBtn = document.getElementById('redoBtn');
+        const lastUndo = this.undoStack[this.undoStack.length - 1];
+        const lastRedo = this.redoStack[this.redoStack.length - 1];
+
+        undoBtn.disabled = !lastUndo;
+        redoBtn.disabled = !lastRedo;
+        undoBtn.title = lastUndo ? `Отменить: ${lastUndo.summary} (Ctrl+Z)` : 'Нечего отменять';
+        redoBtn.title = lastRedo ? `Повторить: ${lastRedo.summary} (Ctrl+Shift+Z)` : 'Нечего повторять';
+    }
+
+    // Destructive actions get a toast with an undo button instead of a plain notification
+    showUndoToast(message) {
+        const toast = document.getElementById('undoToast');
+        document.getElementById('undoToastMessage').textContent = message;
+        toast.classList.add('show');
+
+        clearTimeout(this.undoToastTimer);
+        this.undoToastTimer = setTimeout(() => toast.classList.remove('show'), UNDO_TOAST_MS);
+    }
+
+    async loadJournal() {
+        this.savedSnapshot = this.takeSnapshot();
+        try {
+            this.journal = await ChangeJournal.ensureBaseline(this.savedSnapshot);
+        } catch (error) {
+            console.error('Error loading change journal:', error);
+            this.journal = [];
+        }
+        this.updateUndoButtons();
+    }
+
+    renderJournal() {
+        const container = document.getElementById('journalContainer');
+        document.getElementById('journalCount').textContent = this.journal.length;
+
+        if (this.journal.length === 0) {
+            container.replaceChildren(this.createEmptyState('Журнал пуст', 'Здесь появятся изменения тегов, групп и черного списка'));
+            return;
+        }
+
+        container.replaceChildren(this.createTable('history-table journal-table', ['Когда', 'Изменение', 'После изменения', ''],
+            this.journal.map((entry, index) => DomBuilder.createElement('tr', { 'data-entry': entry.id }, [
+                DomBuilder.createElement('td', {}, [entry.timestamp ? this.formatDate(new Date(entry.timestamp)) : '—']),
+                DomBuilder.createElement('td', {}, [entry.summary]),
+                DomBuilder.createElement('td', { class: 'journal-counts' }, [
+                    `${entry.counts.tags} ${this.getTagCountText(entry.counts.tags)}, ЧС: ${entry.counts.blocklist}, групп: ${entry.counts.groups}`
+                ]),
+                DomBuilder.createElement('td', { class: 'journal-actions' }, [index === 0
+                    ? DomBuilder.createElement('span', { class: 'journal-current' }, ['текущее'])
+                    : DomBuilder.createElement('button', {
+                        class: 'action-btn secondary journal-restore',
+                        title: 'Вернуть теги, группы и черный список к этому состоянию'
+                    }, ['Восстановить'])
+                ])
+            ]))
+        ));
+    }
+
+    restoreJournalEntry(entryId) {
+        const entry = this.journal.find(e => e.id === entryId);
+        if (!entry) return;
+
+        const when = entry.timestamp ? this.formatDate(new Date(entry.timestamp)) : 'до ведения журнала';
+        if (!confirm(`Вернуть теги, группы и черный список к состоянию «${entry.summary}» (${when})?`)) return;
+
+        this.applySnapshot(entry.snapshot);
+        this.saveTags(`Восстановлено состояние от ${when}`);
+        this.showUndoToast(`Восстановлено состояние от ${when}`);
+    }
+
+    getSaveErrorText(error) {
+        const message = String(error && error.message);
+        if (/MAX_WRITE_OPERATIONS/.test(message)) return 'Слишком много изменений подряд - Chrome временно ограничил запись, повторите через минуту';
+        if (/QUOTA_BYTES/.test(message)) return 'Недостаточно места в хранилище браузера - удалите часть тегов или историю';
+        return 'Ошибка при сохранении тегов';
+    }
+
+    async renderStorageUsage() {
+        let usage;
+        try {
+            usage = await TagsStore.getUsage();
+        } catch (error) {
+            console.error('Error reading storage usage:', error);
+            return;
+        }
+
+        const { used, quota } = usage[usage.backend];
+        const percent = Math.min(100, Math.round(used / quota * 100));
+        const bar = document.getElementById('storageBar');
+
+        document.getElementById('storageBackend').textContent = usage.backend === 'sync' ? 'Синхронизация' : 'Только это устройство';
+        document.getElementById('storageUsage').textContent = `${this.formatBytes(used)} из ${this.formatBytes(quota)}`;
+        document.getElementById('restoreSyncBtn').hidden = usage.backend === 'sync';
+        bar.style.width = `${percent}%`;
+        bar.classList.toggle('warning', percent >= 80);
+        bar.title = `${percent}%`;
+    }
+
+    formatBytes(bytes) {
+        if (bytes < 1024) return `${bytes} Б`;
+        if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} КБ`;
+        return `${(bytes / 1024 / 1024).toFixed(1)} МБ`;
+    }
+
+    async restoreSync() {
+        try {
+            const { fallback } = await TagsStore.restoreSync();
+            this.showNotification(
+                fallback ? 'Теги все еще не помещаются в синхронизацию' : 'Теги снова синхронизируются между устройствами',
+                fallback ? 'error' : 'success'
+            );
+        } catch (error) {
+            console.error('Error restoring sync:', error);
+            this.showNotification(this.getSaveErrorText(error), 'error');
+        }
+        this.renderStorageUsage();
+    }
+
+    async loadTags() {
+        try {
+            const result = await TagsStore.load();
+            this.tags = result.tags;
+            this.groups = result.groups;
+            this.blocklist = result.blocklist;
+        } catch (error) {
+            console.error('Error loading tags:', error);
+            this.tags = [];
+            this.groups = TagsStore.getDefaultGroups();
+            this.blocklist = [];
+        }
+    }
+
+    updateAlertSettings() {
+        this.settings.alertsEnabled = document.getElementById('alertsEnabled').checked;
+        this.settings.alertSound = document.getElementById('alertSound').checked;
+        this.settings.quietHours = {
+            enabled: document.getElementById('quietHoursEnabled').checked,
+            start: document.getElementById('quietStart').value || DEFAULT_SETTINGS.quietHours.start,
+            end: document.getElementById('quietEnd').value || DEFAULT_SETTINGS.quietHours.end
+        };
+        this.renderAlertSettings();
+        this.saveSettings();
+    }
+
+    renderAlertSettings() {
+        const { alertsEnabled, alertSound, quietHours } = this.settings;
+        document.getElementById('alertsEnabled').checked = alertsEnabled;
+        document.getElementById('alertSound').checked = alertSound;
+        document.getElementById('quietHoursEnabled').checked = quietHours.enabled;
+        document.getElementById('quietStart').value = quietHours.start;
+        document.getElementById('quietEnd').value = quietHours.end;
+        document.getElementById('alertOptions').classList.toggle('disabled', !alertsEnabled);
+    }
+
+    async loadSettings() {
+        try {
+            this.settings = await TagsStore.loadSettings();
+        } catch (error) {
+            console.error('Error loading settings:', error);
+            this.settings = { ...DEFAULT_SETTINGS };
+        }
+        document.getElementById('authorInput').value = this.settings.authorName;
+        document.getElementById('blockModeSelect').value = this.settings.blockMode;
+        this.renderAlertSettings();
+        document.getElementById('activeWindowSelect').value = String(this.settings.activeWindowDays);
+        document.getElementById('lookalikeDistanceSelect').value = String(this.settings.lookalikeDistance);
+        document.getElementById('feedIntervalSelect').value = String(this.settings.feedIntervalMinutes);
+        document.getElementById('benchmarkToggle').checked = this.settings.benchmark;
+        this.renderPause();
+    }
+
+    async saveSettings() {
+        try {
+            await TagsStore.saveSettings(this.settings);
+        } catch (error) {
+            console.error('Error saving settings:', error);
+            this.showNotification('Ошибка при сохранении настроек', 'error');
+        }
+    }
+
+    clearAllTags() {
+        if (this.tags.length === 0) {
+            this.showNotification('Нет тегов для удаления', 'info');
+            return;
+        }
+
+        if (confirm('Удалить все теги? Вернуть их можно кнопкой «Отменить» или из журнала изменений.')) {
+            const count = this.tags.length;
+            this.tags = [];
+            this.renderTags();
+            this.updateStats();
+            this.saveTags(`Удалены все теги (${count})`);
+            this.showUndoToast('Все теги удалены');
+        }
+    }
+
+    exportTags() {
+        if (this.tags.length === 0 && this.blocklist.length === 0) {
+            this.showNotification('Нет тегов для экспорта', 'info');
+            return;
+        }
+
+        const format = document.getElementById('exportFormatSelect').value;
+        const lists = { tags: this.tags, groups: this.groups, blocklist: this.blocklist };
+        const filename = `xcom-tags-${new Date().toISOString().split('T')[0]}`;
+
+        if (format === 'csv') {
+            this.downloadFile(TagsTransfer.toCsv(lists), `${filename}.csv`, 'text/csv');
+        } else if (format === 'txt') {
+            // Plain text carries handles only: no groups, notes or blocklist
+            this.downloadFile(TagsTransfer.toText(lists), `${filename}.txt`, 'text/plain');
+        } else {
+            this.downloadFile(TagsTransfer.toJson(lists), `${filename}.json`, 'application/json');
+        }
+
+        this.showNotification('Теги успешно экспортированы', 'success');
+    }
+
+    downloadFile(content, filename, type) {
+        const blob = new Blob([content], { type });
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = filename;
+        document.body.appendChild(a);
+        a.click();
+        document.body.removeChild(a);
+        URL.revokeObjectURL(url);
+    }
+
+    async loadHistory() {
+        try {
+            this.history = await SightingsHistory.load();
+        } catch (error) {
+            console.error('Error loading history:', error);
+            this.history = [];
+        }
+        this.historyStats = SightingsHistory.computeStats(this.history);
+    }
+
+    // Sites and the pause are switched from the popup while this page is open; saving other settings must keep that
+    watchSiteSettings() {
+        chrome.storage.onChanged.addListener((changes, areaName) => {
+            if (areaName !== 'sync' || !('xcom_settings' in changes)) return;
+            const settings = { ...DEFAULT_SETTINGS, ...changes.xcom_settings.newValue };
+            this.settings.sites = settings.sites;
+            this.settings.pausedUntil = settings.pausedUntil;
+            this.renderSiteSettings();
+            this.renderPause();
+        });
+    }
+
+    // Tags added from the page panel or on another device while this page is open. Without a reload the
+    // next save from here would write the stale lists back and drop them
+    watchTags() {
+        TagsStore.onChanged((changes) => {
+            if (!TagsStore.changesLists(changes)) return;
+            clearTimeout(this.tagsTimer);
+            this.tagsTimer = setTimeout(() => this.reloadTags(), 300);
+        });
+    }
+
+    async reloadTags() {
+        // A save from this page is still on its way; its own change event brings us back here
+        if (TagsStore.pendingWrite) return;
+
+        let loaded;
+        try {
+            loaded = await TagsStore.load();
+        } catch (error) {
+            console.error('Error reloading tags:', error);
+            return;
+        }
+        const lists = { tags: loaded.tags, groups: loaded.groups, blocklist: loaded.blocklist };
+        if (JSON.stringify(lists) === JSON.stringify(this.takeSnapshot())) return; // Our own save coming back
+
+        // Undo steps were taken on the old lists; replaying one would drop what was just added elsewhere
+        this.undoStack = [];
+        this.redoStack = [];
+        this.applySnapshot(lists);
+        this.savedSnapshot = this.takeSnapshot();
+        this.updateUndoButtons();
+        this.updateStats();
+    }
+
+    // The background worker appends sightings while this page is open
+    watchHistory() {
+        chrome.storage.onChanged.addListener((changes, areaName) => {
+            if (areaName !== 'local' || !('xcom_sightings' in changes)) return;
+            clearTimeout(this.historyTimer);
+            this.historyTimer = setTimeout(async () => {
+                await this.loadHistory();
+                this.renderHistory();
+                this.updateStats();
+            }, 500);
+        });
+    }
+
+    async loadFeeds() {
+        try {
+            [this.feeds, this.feedState, this.feedData] = await Promise.all([
+                FeedSubscriptions.load(),
+                FeedSubscriptions.loadState(),
+                FeedSubscriptions.loadFeedData()
+            ]);
+        } catch (error) {
+            console.error('Error loading feeds:', error);
+            this.feeds = [];
+            this.feedState = {};
+            this.feedData = {};
+        }
+    }
+
+    // Feed entries that aren't shadowed by the user's own tags or blocklist
+    getFeedLists() {
+        const merged = FeedSubscriptions.merge(
+            { tags: this.tags, groups: this.groups, blocklist: this.blocklist },
+            this.feeds, this.feedState, this.feedData
+        );
+        return {
+            tags: merged.tags.filter(tag => tag.feed),
+            blocklist: merged.blocklist.filter(entry => entry.feed)
+        };
+    }
+
+    // Background syncs land in local storage; subscriptions may be edited on another device
+    watchFeeds() {
+        chrome.storage.onChanged.addListener((changes, areaName) => {
+            const feedKeys = ['xcom_feeds', 'xcom_feed_state', 'xcom_feed_tags'];
+            if (!feedKeys.some(key => key in changes) || (areaName !== 'local' && areaName !== 'sync')) return;
+            clearTimeout(this.feedsTimer);
+            this.feedsTimer = setTimeout(async () => {
+                await this.loadFeeds();
+                this.renderFeeds();
+                this.renderTags();
+                this.renderBlocklist();
+            }, 300);
+        });
+    }
+
+    async addFeed() {
+        const input = document.getElementById('feedUrlInput');
+        const url = input.value.trim();
+        const error = FeedSubscriptions.validateUrl(url);
+        if (error) {
+            this.showNotification(error, 'error');
+            return;
+        }
+        if (this.feeds.some(feed => feed.url === url)) {
+            this.showNotification('Вы уже подписаны на этот список', 'error');
+            return;
+        }
+
+        // Host access is requested per feed, and only while the click still counts as a user gesture
+        const origin = FeedSubscriptions.getOriginPattern(url);
+        if (origin && !(await chrome.permissions.request({ origins: [origin] }))) {
+            this.showNotification('Без доступа к сайту подписка не сможет обновляться', 'error');
+            return;
+        }
+        if (!origin && !(await chrome.extension.isAllowedFileSchemeAccess())) {
+            this.showNotification('Включите «Разрешить доступ к URL файлов» на странице расширений', 'error');
+            return;
+        }
+
+        const feed = FeedSubscriptions.createFeed(url, document.getElementById('feedGroupSelect').value || this.groups[0].id);
+        this.feeds.push(feed);
+        input.value = '';
+        await FeedSubscriptions.save(this.feeds);
+        this.renderFeeds();
+
+        const { state } = await FeedSubscriptions.sync(feed);
+        if (state.lastError) {
+            this.showNotification(`Подписка добавлена, но список не загрузился: ${state.lastError}`, 'error');
+        } else {
+            this.showNotification(`Загружено ${state.count || 0} записей`, 'success');
+        }
+    }
+
+    async updateFeed(feedId, changes) {
+        const feed = this.feeds.find(f => f.id === feedId);
+        if (!feed) return;
+
+        Object.assign(feed, changes);
+        await FeedSubscriptions.save(this.feeds);
+        this.renderFeeds();
+        this.renderTags();
+        this.renderBlocklist();
+    }
+
+    async removeFeed(feedId) {
+        const feed = this.feeds.find(f => f.id === feedId);
+        if (!feed || !confirm(`Отписаться от ${FeedSubscriptions.getFeedName(feed, this.feedState[feed.id])}? Его теги исчезнут из списка.`)) return;
+
+        this.feeds = this.feeds.filter(f => f !== feed);
+        await FeedSubscriptions.save(this.feeds);
+        await FeedSubscriptions.forget(feedId);
+        this.showNotification('Подписка удалена', 'info');
+    }
+
+    async syncFeeds() {
+        const button = document.getElementById('feedsSyncBtn');
+        button.disabled = true;
+        try {
+            const results = await FeedSubscriptions.syncAll();
+            const failed = results.filter(result => result.state.lastError).length;
+            this.showNotification(
+                failed ? `Не удалось обновить подписок: ${failed}` : 'Подписки обновлены',
+                failed ? 'error' : 'success'
+            );
+        } catch (error) {
+            console.error('Error syncing feeds:', error);
+            this.showNotification('Ошибка при обновлении подписок', 'error');
+        } finally {
+            button.disabled = false;
+        }
+    }
+
+    renderFeeds() {
+        const container = document.getElementById('feedsContainer');
+        const groupSelect = document.getElementById('feedGroupSelect');
+        this.fillGroupSelect(groupSelect, groupSelect.value);
+
+        container.replaceChildren(...this.feeds.map(feed => {
+            const state = this.feedState[feed.id] || {};
+            const name = FeedSubscriptions.getFeedName(feed, state);
+            let status = 'Еще не загружался';
+            if (state.lastError) {
+                status = `Ошибка: ${state.lastError}`;
+            } else if (state.lastSynced) {
+                status = `${state.count || 0} записей · обновлен ${this.formatDate(new Date(state.lastSynced)).toLowerCase()}`;
+                if (state.skipped) status += ` · пропущено неверных записей: ${state.skipped}`;
+            }
+
+            const groupSelect = DomBuilder.createElement('select', { class: 'tag-group-select', title: 'Группа для тегов подписки' });
+            this.fillGroupSelect(groupSelect, feed.group);
+
+            return DomBuilder.createElement('div', { class: feed.enabled ? 'feed-item' : 'feed-item disabled', 'data-feed': feed.id }, [
+                DomBuilder.createElement('input', { type: 'checkbox', 'data-field': 'enabled', checked: feed.enabled, title: 'Использовать теги подписки' }),
+                DomBuilder.createElement('div', { class: 'feed-info' }, [
+                    DomBuilder.createElement('span', { class: 'feed-name' }, [`📡 ${name}`]),
+                    DomBuilder.createElement('span', { class: 'feed-url', title: feed.url }, [feed.url]),
+                    DomBuilder.createElement('span', { class: state.lastError ? 'feed-status error' : 'feed-status' }, [status])
+                ]),
+                groupSelect,
+                this.createDeleteButton('Отписаться')
+            ]);
+        }));
+    }
+
+    async loadAdapters() {
+        try {
+            this.adapters = await SiteAdapters.loadCustom();
+        } catch (error) {
+            console.error('Error loading site adapters:', error);
+            this.adapters = [];
+        }
+    }
+
+    async addAdapter() {
+        const fields = {
+            name: document.getElementById('adapterNameInput').value.trim(),
+            pattern: document.getElementById('adapterPatternInput').value.trim(),
+            cardSelector: document.getElementById('adapterCardInput').value.trim(),
+            nameSelector: document.getElementById('adapterNameSelectorInput').value.trim(),
+            linkSelector: document.getElementById('adapterLinkInput').value.trim()
+        };
+        const error = SiteAdapters.validate(fields);
+        if (error) {
+            this.showNotification(error, 'error');
+            return;
+        }
+        if (this.adapters.some(adapter => adapter.matches.includes(fields.pattern))) {
+            this.showNotification('Для этих страниц уже есть адаптер', 'error');
+            return;
+        }
+
+        // Like feeds, access is requested only for this site and only while the click is a user gesture.
+        // The background worker injects the highlighter once the permission is granted
+        if (!SiteAdapters.isCoveredByManifest(fields.pattern) &&
+            !(await chrome.permissions.request({ origins: [SiteAdapters.getOriginPattern(fields.pattern)] }))) {
+            this.showNotification('Без доступа к сайту теги на нем не будут подсвечиваться', 'error');
+            return;
+        }
+
+        this.adapters.push(SiteAdapters.createAdapter(fields));
+        await SiteAdapters.saveCustom(this.adapters);
+        document.querySelectorAll('.adapter-input').forEach(input => { input.value = ''; });
+        this.renderAdapters();
+        this.showNotification('Сайт добавлен - обновите его вкладки', 'success');
+    }
+
+    async updateAdapter(adapterId, changes) {
+        const adapter = this.adapters.find(a => a.id === adapterId);
+        if (!adapter) return;
+
+        Object.assign(adapter, changes);
+        await SiteAdapters.saveCustom(this.adapters);
+        this.renderAdapters();
+    }
+
+    async removeAdapter(adapterId) {
+        const adapter = this.adapters.find(a => a.id === adapterId);
+        if (!adapter || !confirm(`Удалить сайт ${adapter.name}?`)) return;
+
+        this.adapters = this.adapters.filter(a => a !== adapter);
+        await SiteAdapters.saveCustom(this.adapters);
+        this.renderAdapters();
+        this.showNotification('Сайт удален', 'info');
+    }
+
+    updateSiteSettings(site, changes) {
+        this.settings.sites = { ...this.settings.sites, [site]: { ...this.settings.sites[site], ...changes } };
+        this.saveSettings();
+        this.renderSiteSettings();
+    }
+
+    // 0 minutes ends the pause; open pages resume by themselves when it runs out
+    setPause(minutes) {
+        this.settings.pausedUntil = minutes > 0 ? Date.now() + minutes * 60 * 1000 : 0;
+        this.saveSettings();
+        this.renderPause();
+    }
+
+    renderPause() {
+        const paused = TagsStore.isPaused(this.settings);
+        const until = new Date(this.settings.pausedUntil).toLocaleTimeString('ru-RU', { hour: '2-digit', minute: '2-digit' });
+        document.getElementById('pauseStatus').textContent = paused ? `⏸ Подсветка на паузе до ${until}` : '';
+        document.getElementById('pauseStatus').hidden = !paused;
+        document.getElementById('pauseDurationLabel').hidden = paused;
+        document.getElementById('pauseBtn').hidden = paused;
+        document.getElementById('resumeBtn').hidden = !paused;
+
+        clearTimeout(this.pauseTimer);
+        if (paused) {
+            this.pauseTimer = setTimeout(() => this.renderPause(), this.settings.pausedUntil - Date.now() + 100);
+        }
+    }
+
+    // Sites of the manifest and the custom adapters, plus any other site that has settings
+    renderSiteSettings() {
+        const sites = [...new Set([...SiteAdapters.listSites(this.adapters), ...Object.keys(this.settings.sites)])];
+        const createToggle = (label, field, checked, extraClass) => DomBuilder.createElement('label', {
+            class: `toggle-row ${extraClass}`
+        }, [
+            DomBuilder.createElement('input', { type: 'checkbox', 'data-site-field': field, checked }),
+            DomBuilder.createElement('span', {}, [label])
+        ]);
+
+        document.getElementById('siteSettingsContainer').replaceChildren(...sites.map(site => {
+            const siteSettings = TagsStore.getSiteSettings(this.settings, site);
+            return DomBuilder.createElement('div', {
+                class: `site-item ${siteSettings.enabled ? '' : 'disabled'}`,
+                'data-site': site
+            }, [
+                DomBuilder.createElement('span', { class: 'feed-name' }, [`🌐 ${site}`]),
+                createToggle('Включено', 'enabled', siteSettings.enabled, 'site-enabled'),
+                ...Object.entries(SITE_FEATURE_LABELS).map(([field, label]) =>
+                    createToggle(label, field, siteSettings[field], 'site-feature')
+                )
+            ]);
+        }));
+    }
+
+    // Built-in adapters are listed for reference and can't be changed
+    renderAdapters() {
+        const container = document.getElementById('adaptersContainer');
+        const renderSelectors = (adapter) => [
+            `карточка ${adapter.cardSelector}`,
+            adapter.nameSelector && `название ${adapter.nameSelector}`,
+            `ссылки ${adapter.linkSelector}`
+        ].filter(Boolean).join(' · ');
+
+        container.replaceChildren(
+            ...this.adapters.map(adapter => DomBuilder.createElement('div', {
+                class: adapter.enabled === false ? 'feed-item disabled' : 'feed-item',
+                'data-adapter': adapter.id
+            }, [
+                DomBuilder.createElement('input', { type: 'checkbox', 'data-field': 'enabled', checked: adapter.enabled !== false, title: 'Подсвечивать теги на этом сайте' }),
+                DomBuilder.createElement('div', { class: 'feed-info' }, [
+                    DomBuilder.createElement('span', { class: 'feed-name' }, [`🌐 ${adapter.name}`]),
+                    DomBuilder.createElement('span', { class: 'feed-url', title: adapter.matches.join(' ') }, [adapter.matches.join(' ')]),
+                    DomBuilder.createElement('span', { class: 'feed-status' }, [renderSelectors(adapter)])
+                ]),
+                this.createDeleteButton('Удалить сайт')
+            ])),
+            ...BUILTIN_ADAPTERS.map(adapter => DomBuilder.createElement('div', { class: 'feed-item builtin' }, [
+                DomBuilder.createElement('div', { class: 'feed-info' }, [
+                    DomBuilder.createElement('span', { class: 'feed-name' }, [
+                        `🌐 ${adapter.name} `,
+                        DomBuilder.createElement('span', { class: 'feed-badge' }, ['встроенный'])
+                    ]),
+                    DomBuilder.createElement('span', { class: 'feed-url' }, [adapter.matches.join(' ')]),
+                    DomBuilder.createElement('span', { class: 'feed-status' }, [renderSelectors(adapter)])
+                ])
+            ]))
+        );
+        this.renderSiteSettings();
+    }
+
+    async loadTheme() {
+        try {
+            this.theme = await PageTheme.load();
+        } catch (error) {
+            console.error('Error loading theme:', error);
+        }
+    }
+
+    async saveTheme() {
+        try {
+            await PageTheme.save(this.theme);
+        } catch (error) {
+            console.error('Error saving theme:', error);
+            this.showNotification('Ошибка при сохранении оформления', 'error');
+        }
+    }
+
+    readThemeControls() {
+        const section = document.getElementById('themeSection');
+        const theme = { ...this.theme, custom: { ...this.theme.custom } };
+        section.querySelectorAll('[data-theme-field]').forEach(control => {
+            theme[control.dataset.themeField] = control.type === 'range' ? Number(control.value) : control.value;
+        });
+        section.querySelectorAll('[data-theme-color]').forEach(input => {
+            theme.custom[input.dataset.themeColor] = input.value;
+        });
+        theme.highlightColor = document.getElementById('themeGroupColor').checked
+            ? ''
+            : document.getElementById('themeHighlightColor').value;
+        return PageTheme.normalize(theme);
+    }
+
+    // The options page gets the same stylesheet as pages, so the preview is exactly what cards look like
+    renderTheme() {
+        const section = document.getElementById('themeSection');
+        section.querySelectorAll('[data-theme-field]').forEach(control => {
+            control.value = String(this.theme[control.dataset.themeField]);
+        });
+        section.querySelectorAll('[data-theme-color]').forEach(input => {
+            input.value = this.theme.custom[input.dataset.themeColor];
+        });
+        document.getElementById('themeCustomColors').hidden = this.theme.preset !== 'custom';
+
+        const groupColor = this.groups[0].color;
+        const highlightInput = document.getElementById('themeHighlightColor');
+        document.getElementById('themeGroupColor').checked = !this.theme.highlightColor;
+        highlightInput.disabled = !this.theme.highlightColor;
+        highlightInput.value = this.theme.highlightColor || groupColor;
+
+        document.getElementById('themeFillValue').textContent = `${this.theme.fillOpacity}%`;
+        document.getElementById('themeBorderValue').textContent = `${this.theme.borderWidth} px`;
+
+        document.getElementById('themePreviewCard').style.setProperty('--xcom-color', groupColor);
+        document.getElementById('themePreviewTag').style.setProperty('--xcom-color', groupColor);
+        PageTheme.apply(this.theme);
+    }
+
+    getFilteredHistory() {
+        const account = document.getElementById('historyAccount').value;
+        const from = document.getElementById('historyFrom').value;
+        const to = document.getElementById('historyTo').value;
+        const query = document.getElementById('historySearch').value.trim().toLowerCase();
+
+        // Date inputs are local days; compare against local midnight boundaries
+        const fromTime = from ? new Date(`${from}T00:00:00`).getTime() : -Infinity;
+        const toTime = to ? new Date(`${to}T23:59:59.999`).getTime() : Infinity;
+
+        return this.history
+            .filter(record => {
+                const time = new Date(record.timestamp).getTime();
+                if (account && SightingsHistory.getTagKey(record) !== account) return false;
+                if (time < fromTime || time > toTime) return false;
+                if (query) {
+                    const haystack = `${record.username} ${record.coinName} ${record.contract} ${record.coinLink}`.toLowerCase();
+                    if (!haystack.includes(query)) return false;
+                }
+                return true;
+            })
+            .sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
+    }
+
+    renderHistory() {
+        const container = document.getElementById('historyContainer');
+        const accountSelect = document.getElementById('historyAccount');
+        const count = document.getElementById('historyCount');
+        const selected = accountSelect.value;
+
+        const accounts = [...new Set(this.history.map(record => SightingsHistory.getTagKey(record)))].sort();
+        accountSelect.replaceChildren(
+            DomBuilder.createElement('option', { value: '' }, ['Все аккаунты']),
+            ...accounts.map(account => DomBuilder.createElement('option', {
+                value: account,
+                selected: account === selected
+            }, [TagsStore.formatTag(TagsStore.parseTagKey(account))]))
+        );
+
+        const records = this.getFilteredHistory();
+        count.textContent = `${records.length} из ${this.history.length}`;
+
+        if (records.length === 0) {
+            container.replaceChildren(this.createEmptyState(
+                this.history.length ? 'Ничего не найдено' : 'История пуста',
+                'Здесь появятся монеты аккаунтов из ваших тегов, замеченные на axiom.trade/pulse'
+            ));
+            return;
+        }
+
+        // Rendering is capped; export always includes every filtered record
+        const visible = records.slice(0, 500);
+        container.replaceChildren(
+            this.createTable('history-table', ['Когда', 'Аккаунт', 'Монета', 'Контракт'], visible.map(record => DomBuilder.createElement('tr', {
+                class: record.blocked ? 'blocked' : null
+            }, [
+                DomBuilder.createElement('td', { title: record.timestamp }, [this.formatDate(new Date(record.timestamp))]),
+                DomBuilder.createElement('td', {}, [
+                    `${TagsStore.formatTag(TagsStore.parseTagKey(SightingsHistory.getTagKey(record)))}${record.blocked ? ' ⚠' : ''}`
+                ]),
+                DomBuilder.createElement('td', {}, [this.renderHistoryCoin(record)]),
+                DomBuilder.createElement('td', { class: 'history-contract' }, [record.contract || '—'])
+            ]))),
+            records.length > visible.length
+                ? DomBuilder.createElement('p', { class: 'section-hint' }, [
+                    `Показаны последние ${visible.length} записей. Уточните фильтр или экспортируйте все.`
+                ])
+                : null
+        );
+    }
+
+    renderHistoryCoin(record) {
+        const name = record.coinName || 'Без названия';
+        if (!/^https?:\/\//i.test(record.coinLink)) return name;
+        return DomBuilder.createElement('a', { href: record.coinLink, target: '_blank', rel: 'noopener noreferrer' }, [name]);
+    }
+
+    exportHistory(format) {
+        const records = this.getFilteredHistory();
+        if (records.length === 0) {
+            this.showNotification('Нет записей для экспорта', 'info');
+            return;
+        }
+
+        const date = new Date().toISOString().split('T')[0];
+        if (format === 'csv') {
+            this.downloadFile(SightingsHistory.toCsv(records), `xcom-history-${date}.csv`, 'text/csv');
+        } else {
+            this.downloadFile(JSON.stringify({ sightings: records, exportDate: new Date().toISOString() }, null, 2),
+                `xcom-history-${date}.json`, 'application/json');
+        }
+
+        this.showNotification(`Экспортировано записей: ${records.length}`, 'success');
+    }
+
+    async clearHistory() {
+        if (this.history.length === 0) {
+            this.showNotification('История уже пуста', 'info');
+            return;
+        }
+
+        if (!confirm('Удалить всю историю замеченных монет?')) return;
+
+        try {
+            await SightingsHistory.clear();
+            this.history = [];
+            this.historyStats = new Map();
+            this.renderHistory();
+            this.updateStats();
+            this.showNotification('История очищена', 'info');
+        } catch (error) {
+            console.error('Error clearing history:', error);
+            this.showNotification('Ошибка при очистке истории', 'error');
+        }
+    }
+
+    importTags(event) {
+        const file = event.target.files[0];
+        if (!file) return;
+
+        const reader = new FileReader();
+        reader.onload = (e) => {
+            try {
+                this.pendingImport = { parsed: TagsTransfer.parse(e.target.result, file.name), filename: file.name };
+            } catch (error) {
+                console.error('Error importing tags:', error);
+                this.showNotification(error.message || 'Ошибка при импорте файла', 'error');
+                return;
+            }
+
+            document.querySelector('input[name="importMode"][value="merge"]').checked = true;
+            this.renderImportPreview();
+            document.getElementById('importDialog').showModal();
+        };
+
+        reader.readAsText(file);
+        event.target.value = ''; // Reset file input
+    }
+
+    getImportMode() {
+        return document.querySelector('input[name="importMode"]:checked').value;
+    }
+
+    reviewImport() {
+        return TagsTransfer.review(this.pendingImport.parsed, {
+            tags: this.tags,
+            blocklist: this.blocklist,
+            groups: this.groups,
+            defaultGroup: document.getElementById('tagGroupSelect').value || this.groups[0].id
+        }, this.getImportMode());
+    }
+
+    renderImportPreview() {
+        const { parsed, filename } = this.pendingImport;
+        const review = this.reviewImport();
+        const replace = this.getImportMode() === 'replace';
+        const formats = { json: 'JSON', csv: 'CSV', text: 'текст' };
+
+        document.getElementById('importFileName').textContent = `${filename} · ${formats[parsed.format]}${parsed.format === 'json' ? `, версия ${parsed.version}` : ''}`;
+
+        const summary = [
+            `Новых тегов: ${review.tags.new.length}`,
+            `уже есть: ${review.tags.duplicate.length}`,
+            `с ошибками: ${review.tags.invalid.length}`
+        ];
+        if (parsed.hasBlocklist) {
+            summary.push(`черный список: ${review.blocklist.new.length} новых, ${review.blocklist.duplicate.length} уже есть, ${review.blocklist.invalid.length} с ошибками`);
+        }
+        if (review.groups.length) {
+            summary.push(`новых групп: ${review.groups.length}`);
+        }
+        document.getElementById('importSummary').textContent = summary.join(' · ');
+
+        const warning = document.getElementById('importReplaceWarning');
+        warning.hidden = !replace;
+        warning.textContent = `Текущие ${this.tags.length} ${this.getTagCountText(this.tags.length)}${parsed.hasBlocklist ? ` и черный список (${this.blocklist.length})` : ''} будут заменены содержимым файла.`;
+
+        // Long files only show the first entries of each kind
+        const limit = 200;
+        const renderEntries = (title, entries, className, describe) => {
+            if (!entries.length) return null;
+            return DomBuilder.createElement('details', { class: `import-group ${className}`, open: className === 'invalid' }, [
+                DomBuilder.createElement('summary', {}, [`${title} (${entries.length})`]),
+                DomBuilder.createElement('ul', {}, [
+                    ...entries.slice(0, limit).map(entry => DomBuilder.createElement('li', {}, describe(entry))),
+                    entries.length > limit ? DomBuilder.createElement('li', { class: 'import-more' }, [`…и еще ${entries.length - limit}`]) : null
+                ])
+            ]);
+        };
+        const label = (entry) => [TagsStore.formatTag(entry)];
+        const invalid = (entry) => [DomBuilder.createElement('code', {}, [entry.source]), ` - ${entry.error}`];
+
+        const groups = [
+            renderEntries('Будут добавлены', review.tags.new, 'new', label),
+            renderEntries(replace ? 'Повторы в файле' : 'Уже в списке', review.tags.duplicate, 'duplicate', label),
+            renderEntries('Пропущены из-за ошибок', review.tags.invalid, 'invalid', invalid),
+            renderEntries('Черный список: будут добавлены', review.blocklist.new, 'new', label),
+            renderEntries('Черный список: пропущены из-за ошибок', review.blocklist.invalid, 'invalid', invalid)
+        ];
+        document.getElementById('importPreview').replaceChildren(...groups.filter(Boolean));
+
+        const nothingToImport = !review.tags.new.length && !review.blocklist.new.length && !replace;
+        document.getElementById('importConfirmBtn').disabled = nothingToImport;
+    }
+
+    confirmImport() {
+        const { parsed, filename } = this.pendingImport;
+        const review = this.reviewImport();
+
+        if (this.getImportMode() === 'replace') {
+            this.tags = review.tags.new;
+            if (parsed.hasBlocklist) {
+                this.blocklist = review.blocklist.new;
+            }
+            this.expandedTags.clear();
+        } else {
+            this.tags = [...this.tags, ...review.tags.new];
+            this.blocklist = [...this.blocklist, ...review.blocklist.new];
+        }
+        this.groups = [...this.groups, ...review.groups];
+
+        this.closeImportDialog();
+        this.renderGroups();
+        this.renderTags();
+        this.renderBlocklist();
+        this.updateStats();
+        this.saveTags(`Импорт из ${filename}: ${review.tags.new.length} ${this.getTagCountText(review.tags.new.length)}`);
+        this.showUndoToast(`Импортировано ${review.tags.new.length} новых тегов из ${parsed.tags.length}`);
+    }
+
+    closeImportDialog() {
+        this.pendingImport = null;
+        document.getElementById('importDialog').close();
     }
 
     showNotification(message, type = 'info') {
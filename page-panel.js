@@ -0,0 +1,297 @@
+// Floating control panel on pages with a site adapter: tagged accounts on the page, quick add,
+// pause and the display mode. Position and toggles are kept in chrome.storage.local
+
+const DEFAULT_PANEL_STATE = {
+    left: null, // null until the panel is first dragged: it then sits in the bottom right corner
+    top: null,
+    collapsed: false,
+    paused: false
+};
+
+class PagePanel {
+    constructor(highlighter) {
+        this.highlighter = highlighter;
+        this.state = { ...DEFAULT_PANEL_STATE };
+        this.jumpIndex = new Map(); // tag key -> card shown by the last click, to cycle through cards
+        this.root = null;
+    }
+
+    async init() {
+        try {
+            const result = await chrome.storage.local.get(['xcom_panel']);
+            const { hideUntagged, ...state } = result.xcom_panel || {};
+            this.state = { ...DEFAULT_PANEL_STATE, ...state };
+            // The panel used to have a checkbox for what is now the "tagged" display mode
+            if (hideUntagged) {
+                await DisplayModes.save('tagged');
+                this.highlighter.setDisplayMode('tagged');
+                this.saveState();
+            }
+        } catch (error) {
+            console.error('Error loading panel state:', error);
+        }
+
+        // The panel may appear only after a single-page site navigated to a supported page
+        if (this.highlighter.paused !== this.state.paused) {
+            this.highlighter.setPaused(this.state.paused);
+        }
+        this.render();
+    }
+
+    saveState() {
+        chrome.storage.local.set({ 'xcom_panel': this.state })
+            .catch(error => console.error('Error saving panel state:', error));
+    }
+
+    render() {
+        this.root = document.createElement('div');
+        this.root.className = 'xcom-panel';
+
+        const header = document.createElement('div');
+        header.className = 'xcom-panel-header';
+        this.title = document.createElement('span');
+        this.title.className = 'xcom-panel-title';
+        this.pauseButton = this.createButton('', () => this.togglePaused());
+        this.collapseButton = this.createButton('', () => this.toggleCollapsed());
+        header.append(this.title, this.pauseButton, this.collapseButton);
+
+        this.body = document.createElement('div');
+        this.body.className = 'xcom-panel-body';
+        this.body.append(this.renderQuickAdd(), this.renderDisplayMode(), this.renderList());
+
+        this.root.append(header, this.body);
+        document.body.appendChild(this.root);
+
+        this.makeDraggable(header);
+        this.applyPosition();
+        this.updateControls();
+        this.update();
+    }
+
+    createButton(text, onClick) {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.textContent = text;
+        button.className = 'xcom-panel-button';
+        button.addEventListener('click', onClick);
+        return button;
+    }
+
+    renderQuickAdd() {
+        const row = document.createElement('div');
+        row.className = 'xcom-panel-row';
+
+        this.input = document.createElement('input');
+        this.input.type = 'text';
+        this.input.placeholder = '@имя, ссылка или адрес';
+        this.input.className = 'xcom-field xcom-panel-input';
+        this.input.addEventListener('keydown', (e) => {
+            // The page has its own keyboard shortcuts
+            e.stopPropagation();
+            if (e.key === 'Enter') this.quickAdd();
+        });
+
+        this.groupSelect = document.createElement('select');
+        this.groupSelect.title = 'Группа';
+        this.groupSelect.className = 'xcom-field xcom-panel-group';
+
+        const addButton = this.createButton('+', () => this.quickAdd());
+        addButton.title = 'Добавить тег';
+        addButton.classList.add('xcom-panel-add');
+
+        row.append(this.input, this.groupSelect, addButton);
+        return row;
+    }
+
+    // Saved for all tabs; the highlighter picks the change up from storage like a keyboard shortcut
+    renderDisplayMode() {
+        const label = document.createElement('label');
+        label.className = 'xcom-panel-mode';
+        this.modeSelect = document.createElement('select');
+        this.modeSelect.className = 'xcom-field';
+        this.modeSelect.append(...DISPLAY_MODES.map(mode => {
+            const option = document.createElement('option');
+            option.value = mode.id;
+            option.textContent = mode.name;
+            return option;
+        }));
+        this.modeSelect.addEventListener('change', () => {
+            DisplayModes.save(this.modeSelect.value)
+                .catch(error => console.error('Error saving display mode:', error));
+        });
+        label.append(document.createTextNode('Показ'), this.modeSelect);
+        return label;
+    }
+
+    renderList() {
+        this.list = document.createElement('div');
+        this.list.className = 'xcom-panel-list';
+        return this.list;
+    }
+
+    // Called by the highlighter after it processed new cards; bursts of cards rebuild the list once
+    scheduleUpdate() {
+        clearTimeout(this.updateTimer);
+        this.updateTimer = setTimeout(() => this.update(), 300);
+    }
+
+    update() {
+        if (!this.root) return;
+
+        const selected = this.groupSelect.value;
+        this.groupSelect.replaceChildren(...this.highlighter.groups.map(group => {
+            const option = document.createElement('option');
+            option.value = group.id;
+            option.textContent = group.name;
+            option.selected = group.id === selected;
+            return option;
+        }));
+
+        const accounts = this.collectAccounts();
+        this.title.textContent = this.highlighter.paused ? 'Теги · на паузе' : `Теги на странице · ${accounts.length}`;
+
+        if (accounts.length === 0) {
+            const empty = document.createElement('div');
+            empty.className = 'xcom-panel-muted';
+            empty.textContent = this.highlighter.paused ? 'Подсветка на паузе' : 'На странице нет отмеченных аккаунтов';
+            this.list.replaceChildren(empty);
+            return;
+        }
+
+        this.list.replaceChildren(...accounts.map(account => this.renderAccount(account)));
+    }
+
+    // Only accounts with coin cards: the list jumps between cards
+    collectAccounts() {
+        return this.highlighter.collectPageMatches().filter(account => account.cards > 0);
+    }
+
+    renderAccount(account) {
+        const item = document.createElement('button');
+        item.type = 'button';
+        item.title = account.cards > 1 ? 'Показать следующую карточку' : 'Показать карточку';
+        item.className = 'xcom-panel-account';
+        item.style.setProperty('--xcom-color', account.group.color);
+
+        const label = document.createElement('span');
+        label.className = 'xcom-panel-account-label';
+        label.textContent = account.group.badge ? `${account.group.badge} ${account.label}` : account.label;
+        const count = document.createElement('span');
+        count.className = 'xcom-panel-muted';
+        count.textContent = account.cards;
+
+        item.append(label, count);
+        item.addEventListener('click', () => this.jumpTo(account.key));
+        return item;
+    }
+
+    // Repeated clicks walk through all cards of the account
+    jumpTo(key) {
+        const cards = document.querySelectorAll(`[data-xcom-tag="${CSS.escape(key)}"]`);
+        if (!cards.length) return;
+
+        const index = ((this.jumpIndex.get(key) ?? -1) + 1) % cards.length;
+        this.jumpIndex.set(key, index);
+        this.highlighter.flashCard(cards[index]);
+    }
+
+    // Same rules as the add form on the options page; the type is detected from the input
+    async quickAdd() {
+        const input = this.input.value.trim();
+        if (!input) return;
+
+        const type = TagsStore.detectTagType(input);
+        const { value, error } = TagsStore.parseTagValue(type, TagsStore.stripTypePrefix(input));
+        if (error) {
+            this.highlighter.showNotification(error, 'error');
+            return;
+        }
+
+        if (await this.highlighter.addTag({ type, value }, { group: this.groupSelect.value })) {
+            this.input.value = '';
+        }
+    }
+
+    togglePaused() {
+        this.setPaused(!this.state.paused);
+    }
+
+    setPaused(paused) {
+        this.state.paused = paused;
+        this.saveState();
+        this.highlighter.setPaused(paused);
+        this.updateControls();
+        this.update();
+    }
+
+    toggleCollapsed() {
+        this.state.collapsed = !this.state.collapsed;
+        this.saveState();
+        this.updateControls();
+    }
+
+    updateControls() {
+        if (!this.root) return;
+
+        this.pauseButton.textContent = this.state.paused ? '▶' : '⏸';
+        this.pauseButton.title = this.state.paused ? 'Включить подсветку' : 'Приостановить подсветку';
+        this.collapseButton.textContent = this.state.collapsed ? '+' : '–';
+        this.collapseButton.title = this.state.collapsed ? 'Развернуть' : 'Свернуть';
+        this.body.hidden = this.state.collapsed;
+        this.modeSelect.value = this.highlighter.displayMode;
+        this.modeSelect.title = DisplayModes.find(this.highlighter.displayMode).hint;
+    }
+
+    // The site was switched off from the popup
+    remove() {
+        clearTimeout(this.updateTimer);
+        if (this.root) this.root.remove();
+        this.root = null;
+    }
+
+    makeDraggable(handle) {
+        handle.addEventListener('pointerdown', (e) => {
+            if (e.button !== 0 || e.target.closest('button')) return;
+            const rect = this.root.getBoundingClientRect();
+            const offsetX = e.clientX - rect.left;
+            const offsetY = e.clientY - rect.top;
+            handle.setPointerCapture(e.pointerId);
+
+            const move = (event) => {
+                this.state.left = event.clientX - offsetX;
+                this.state.top = event.clientY - offsetY;
+                this.applyPosition();
+            };
+            const stop = () => {
+                handle.removeEventListener('pointermove', move);
+                handle.removeEventListener('pointerup', stop);
+                handle.removeEventListener('pointercancel', stop);
+                this.saveState();
+            };
+            handle.addEventListener('pointermove', move);
+            handle.addEventListener('pointerup', stop);
+            handle.addEventListener('pointercancel', stop);
+        });
+
+        // Keep the panel reachable when the window shrinks
+        window.addEventListener('resize', () => this.applyPosition());
+    }
+
+    applyPosition() {
+        if (!this.root) return;
+
+        if (this.state.left === null || this.state.top === null) {
+            Object.assign(this.root.style, { left: '', top: '', right: '20px', bottom: '20px' });
+            return;
+        }
+
+        const maxLeft = Math.max(0, window.innerWidth - this.root.offsetWidth);
+        const maxTop = Math.max(0, window.innerHeight - 40);
+        Object.assign(this.root.style, {
+            left: `${Math.min(Math.max(0, this.state.left), maxLeft)}px`,
+            top: `${Math.min(Math.max(0, this.state.top), maxTop)}px`,
+            right: '',
+            bottom: ''
+        });
+    }
+}
@@ -0,0 +1,447 @@
+// Look of everything the extension draws on pages: one injected stylesheet driven by CSS variables.
+// Highlights only add data-xcom-* attributes, xcom-* elements and a --xcom-color property to the page,
+// so removing those restores the page's own padding, borders and hover effects untouched.
+// The options page loads this file too and previews the theme with the same stylesheet
+
+const THEME_STYLE_ID = 'xcom-theme';
+
+// Notifications, panel header and popover buttons share these in every theme
+const OVERLAY_BACKGROUNDS = {
+    success: 'linear-gradient(135deg, #28a745, #20c997)',
+    error: 'linear-gradient(135deg, #dc3545, #c82333)',
+    info: 'linear-gradient(135deg, #17a2b8, #138496)'
+};
+
+// Overlay colors: panel, popovers and hover cards
+const THEME_PRESETS = {
+    dark: { surface: '#15202b', text: '#e7e9ea', border: '#38444d', field: '#192734' },
+    light: { surface: '#ffffff', text: '#0f1419', border: '#cfd9de', field: '#f7f9f9' }
+};
+
+const DEFAULT_THEME = {
+    preset: 'dark', // 'dark' | 'light' | 'custom'
+    custom: { ...THEME_PRESETS.dark }, // Overlay colors of the 'custom' preset
+    highlightColor: '', // Empty: every card takes the color of its group
+    fillOpacity: 10, // Card tint, percent of the highlight color
+    borderStyle: 'solid', // 'solid' | 'dashed' | 'dotted' | 'none'
+    borderWidth: 2,
+    badgePosition: 'top-right', // 'top-right' | 'top-left' | 'bottom-right' | 'bottom-left'
+    animation: 'lift' // 'lift' | 'glow' | 'none'
+};
+
+const THEME_CHOICES = {
+    preset: ['dark', 'light', 'custom'],
+    borderStyle: ['solid', 'dashed', 'dotted', 'none'],
+    badgePosition: ['top-right', 'top-left', 'bottom-right', 'bottom-left'],
+    animation: ['lift', 'glow', 'none']
+};
+
+class PageTheme {
+    static async load() {
+        const result = await chrome.storage.sync.get(['xcom_theme']);
+        return this.normalize(result.xcom_theme);
+    }
+
+    static async save(theme) {
+        await chrome.storage.sync.set({ 'xcom_theme': this.normalize(theme) });
+    }
+
+    static onChanged(callback) {
+        chrome.storage.onChanged.addListener((changes, areaName) => {
+            if (areaName === 'sync' && 'xcom_theme' in changes) {
+                callback(this.normalize(changes.xcom_theme.newValue));
+            }
+        });
+    }
+
+    // Anything unknown falls back to the default, so a theme from a newer version can't break pages
+    static normalize(theme) {
+        const source = theme && typeof theme === 'object' ? theme : {};
+        const isColor = (value) => /^#[0-9a-f]{6}$/i.test(value);
+        const clamp = (value, min, max, fallback) => Number.isFinite(Number(value))
+            ? Math.min(max, Math.max(min, Math.round(Number(value))))
+            : fallback;
+
+        const normalized = {
+            ...DEFAULT_THEME,
+            custom: { ...DEFAULT_THEME.custom },
+            highlightColor: isColor(source.highlightColor) ? source.highlightColor : '',
+            fillOpacity: clamp(source.fillOpacity, 0, 40, DEFAULT_THEME.fillOpacity),
+            borderWidth: clamp(source.borderWidth, 1, 6, DEFAULT_THEME.borderWidth)
+        };
+        Object.entries(THEME_CHOICES).forEach(([field, choices]) => {
+            if (choices.includes(source[field])) normalized[field] = source[field];
+        });
+        if (source.custom && typeof source.custom === 'object') {
+            Object.keys(normalized.custom).forEach(field => {
+                if (isColor(source.custom[field])) normalized.custom[field] = source.custom[field];
+            });
+        }
+        return normalized;
+    }
+
+    static getColors(theme) {
+        return theme.preset === 'custom' ? theme.custom : THEME_PRESETS[theme.preset];
+    }
+
+    static buildStylesheet(theme) {
+        const colors = this.getColors(theme);
+        const [vertical, horizontal] = theme.badgePosition.split('-');
+        const fill = `color-mix(in srgb, var(--xcom-accent) ${theme.fillOpacity}%, transparent)`;
+        const hoverFill = `color-mix(in srgb, var(--xcom-accent) ${theme.fillOpacity + 5}%, transparent)`;
+        const shadow = (blur, strength) => `0 4px ${blur}px color-mix(in srgb, var(--xcom-accent) ${strength}%, transparent)`;
+
+        const animations = {
+            lift: `
+                [data-xcom-highlighted]:hover {
+                    transform: translateY(-2px);
+                    box-shadow: inset 0 0 0 100vmax ${hoverFill}, ${shadow(20, 30)};
+                }`,
+            glow: `
+                @keyframes xcom-glow {
+                    50% { box-shadow: inset 0 0 0 100vmax ${hoverFill}, 0 0 18px color-mix(in srgb, var(--xcom-accent) 60%, transparent); }
+                }
+                [data-xcom-highlighted] {
+                    animation: xcom-glow 2s ease-in-out infinite;
+                }`,
+            none: ''
+        };
+
+        return `
+            :root {
+                --xcom-surface: ${colors.surface};
+                --xcom-text: ${colors.text};
+                --xcom-border: ${colors.border};
+                --xcom-field: ${colors.field};
+                ${theme.highlightColor ? `--xcom-highlight: ${theme.highlightColor};` : ''}
+            }
+
+            [data-xcom-highlighted],
+            .xcom-highlighted-tag {
+                --xcom-accent: var(--xcom-highlight, var(--xcom-color));
+            }
+
+            /* Lowest specificity: a page that positions its cards itself keeps doing so */
+            :where([data-xcom-highlighted]) {
+                position: relative;
+            }
+
+            /* Outline and inset shadow draw over the card without touching its box */
+            [data-xcom-highlighted] {
+                outline: ${theme.borderWidth}px ${theme.borderStyle} var(--xcom-accent);
+                outline-offset: -${theme.borderWidth}px;
+                box-shadow: inset 0 0 0 100vmax ${fill}, ${shadow(12, 20)};
+                cursor: pointer;
+                transition: transform 0.3s ease, box-shadow 0.3s ease;
+            }
+            ${animations[theme.animation]}
+
+            [data-xcom-blocked="dim"] {
+                opacity: 0.45;
+                filter: grayscale(0.8);
+            }
+
+            [data-xcom-collapsed="true"] {
+                max-height: 44px;
+                overflow: hidden;
+            }
+
+            /* Display modes; order only moves cards inside flex and grid columns */
+            [data-xcom-filtered] {
+                display: none !important;
+            }
+
+            [data-xcom-pinned] {
+                order: -1;
+            }
+
+            .xcom-highlight-badge {
+                position: absolute;
+                ${vertical}: 8px;
+                ${horizontal}: 8px;
+                display: flex;
+                align-items: center;
+                gap: 4px;
+                padding: 4px 8px;
+                border-radius: 12px;
+                background: var(--xcom-accent);
+                color: white;
+                font-size: 10px;
+                font-weight: 600;
+                box-shadow: 0 2px 4px rgba(0, 0, 0, 0.2);
+                cursor: help;
+                z-index: 10;
+            }
+
+            .xcom-hover-card {
+                position: absolute;
+                ${vertical}: calc(100% + 6px);
+                ${horizontal}: 0;
+                width: 240px;
+                display: none;
+                flex-direction: column;
+                gap: 6px;
+                padding: 10px 12px;
+                background: var(--xcom-surface);
+                color: var(--xcom-text);
+                border: 1px solid var(--xcom-accent);
+                border-radius: 10px;
+                font-size: 12px;
+                font-weight: 400;
+                line-height: 1.4;
+                box-shadow: 0 6px 20px rgba(0, 0, 0, 0.35);
+                cursor: default;
+                z-index: 11;
+            }
+
+            .xcom-highlight-badge:hover > .xcom-hover-card {
+                display: flex;
+            }
+
+            .xcom-hover-title { font-weight: 600; }
+            .xcom-hover-warning { color: #fd7e14; font-weight: 600; }
+            .xcom-hover-blocked { color: #ff6b6b; font-weight: 600; }
+            .xcom-hover-trust { color: #f0ad4e; }
+            .xcom-hover-note { white-space: pre-wrap; }
+            .xcom-hover-muted { opacity: 0.6; }
+            .xcom-hover-meta { opacity: 0.6; font-size: 11px; }
+            .xcom-hover-link { color: #1da1f2; word-break: break-all; }
+
+            .xcom-highlighted-tag {
+                display: inline-block;
+                position: relative;
+                margin: 0 2px;
+                padding: 2px 6px;
+                border-radius: 12px;
+                background: var(--xcom-accent);
+                color: white;
+                font-size: 0.9em;
+                font-weight: 600;
+                box-shadow: 0 2px 4px color-mix(in srgb, var(--xcom-accent) 30%, transparent);
+            }
+
+            .xcom-card-missing {
+                display: inline-block;
+                margin: 0 4px;
+                padding: 1px 6px;
+                border: 1px dashed #dc3545;
+                border-radius: 10px;
+                background: rgba(220, 53, 69, 0.1);
+                color: #dc3545;
+                font-size: 10px;
+                font-weight: 600;
+                white-space: nowrap;
+                vertical-align: middle;
+            }
+
+            .xcom-notification {
+                position: fixed;
+                top: 20px;
+                right: 20px;
+                max-width: 300px;
+                padding: 12px 20px;
+                border-radius: 8px;
+                background: ${OVERLAY_BACKGROUNDS.info};
+                color: white;
+                font-size: 14px;
+                font-weight: 500;
+                box-shadow: 0 4px 12px rgba(0, 0, 0, 0.15);
+                transform: translateX(calc(100% + 20px));
+                transition: transform 0.3s ease;
+                z-index: 10000;
+            }
+
+            .xcom-notification.visible {
+                transform: translateX(0);
+            }
+
+            .xcom-notification-success { background: ${OVERLAY_BACKGROUNDS.success}; }
+            .xcom-notification-error { background: ${OVERLAY_BACKGROUNDS.error}; }
+
+            /* "+ тег" / "✓ тег" next to handles; a tagged one learns its group color like cards do */
+            .xcom-tag-toggle {
+                display: inline-flex;
+                align-items: center;
+                margin: 0 4px;
+                padding: 1px 6px;
+                border: 1px solid #536471;
+                border-radius: 10px;
+                background: transparent;
+                color: #536471;
+                font-size: 10px;
+                font-weight: 600;
+                line-height: 1.4;
+                white-space: nowrap;
+                vertical-align: middle;
+                cursor: pointer;
+                z-index: 10;
+            }
+
+            .xcom-tag-toggle[data-xcom-tagged] {
+                border-color: var(--xcom-color);
+                background: var(--xcom-color);
+                color: white;
+            }
+
+            /* Page panel and the tag popover */
+            .xcom-panel,
+            .xcom-tag-popover {
+                background: var(--xcom-surface);
+                color: var(--xcom-text);
+                font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+                font-size: 13px;
+                line-height: 1.4;
+                box-shadow: 0 4px 12px rgba(0, 0, 0, 0.15);
+            }
+
+            .xcom-panel {
+                position: fixed;
+                width: 260px;
+                border-radius: 8px;
+                overflow: hidden;
+                z-index: 10000;
+            }
+
+            .xcom-panel-header {
+                display: flex;
+                align-items: center;
+                gap: 6px;
+                padding: 8px 10px;
+                background: ${OVERLAY_BACKGROUNDS.info};
+                color: white;
+                font-weight: 600;
+                cursor: move;
+                user-select: none;
+            }
+
+            .xcom-panel-title { flex: 1; }
+
+            .xcom-panel-button {
+                padding: 2px 8px;
+                border: none;
+                border-radius: 4px;
+                background: rgba(255, 255, 255, 0.2);
+                color: white;
+                font: inherit;
+                cursor: pointer;
+            }
+
+            .xcom-panel-add { background: ${OVERLAY_BACKGROUNDS.success}; }
+
+            .xcom-panel-body {
+                display: flex;
+                flex-direction: column;
+                gap: 8px;
+                padding: 10px;
+            }
+
+            .xcom-panel-body[hidden] { display: none; }
+
+            .xcom-panel-row,
+            .xcom-panel-mode {
+                display: flex;
+                align-items: center;
+                gap: 6px;
+            }
+
+            .xcom-field {
+                min-width: 0;
+                padding: 5px 8px;
+                border: 1px solid var(--xcom-border);
+                border-radius: 6px;
+                background: var(--xcom-field);
+                color: var(--xcom-text);
+                font: inherit;
+            }
+
+            .xcom-panel-input,
+            .xcom-panel-mode .xcom-field { flex: 1; }
+            .xcom-panel-group { max-width: 80px; }
+
+            .xcom-panel-list {
+                display: flex;
+                flex-direction: column;
+                gap: 2px;
+                max-height: 240px;
+                overflow-y: auto;
+            }
+
+            .xcom-panel-account {
+                display: flex;
+                align-items: center;
+                gap: 6px;
+                padding: 4px 6px;
+                border: none;
+                border-left: 3px solid var(--xcom-color);
+                border-radius: 4px;
+                background: transparent;
+                color: inherit;
+                font: inherit;
+                text-align: left;
+                cursor: pointer;
+            }
+
+            .xcom-panel-account:hover { background: var(--xcom-field); }
+
+            .xcom-panel-account-label {
+                flex: 1;
+                overflow: hidden;
+                text-overflow: ellipsis;
+                white-space: nowrap;
+            }
+
+            .xcom-panel-muted { opacity: 0.6; }
+
+            .xcom-tag-popover {
+                position: fixed;
+                width: 240px;
+                padding: 10px 12px;
+                display: flex;
+                flex-direction: column;
+                gap: 8px;
+                border: 1px solid var(--xcom-border);
+                border-radius: 8px;
+                z-index: 10001;
+            }
+
+            .xcom-tag-popover[data-xcom-tagged] { border-color: var(--xcom-color); }
+            .xcom-popover-title { font-weight: 600; }
+            .xcom-popover-text { opacity: 0.8; }
+
+            .xcom-popover-actions {
+                display: flex;
+                justify-content: flex-end;
+                gap: 6px;
+            }
+
+            .xcom-popover-button {
+                padding: 4px 10px;
+                border: none;
+                border-radius: 6px;
+                background: var(--xcom-border);
+                color: var(--xcom-text);
+                font: inherit;
+                cursor: pointer;
+            }
+
+            .xcom-popover-button-success { background: ${OVERLAY_BACKGROUNDS.success}; color: white; }
+            .xcom-popover-button-error { background: ${OVERLAY_BACKGROUNDS.error}; color: white; }
+        `;
+    }
+
+    // Adds the stylesheet, or replaces its rules when the theme changed
+    static apply(theme, doc = document) {
+        let style = doc.getElementById(THEME_STYLE_ID);
+        if (!style) {
+            style = doc.createElement('style');
+            style.id = THEME_STYLE_ID;
+            (doc.head || doc.documentElement).appendChild(style);
+        }
+        style.textContent = this.buildStylesheet(theme);
+    }
+
+    static remove(doc = document) {
+        const style = doc.getElementById(THEME_STYLE_ID);
+        if (style) style.remove();
+    }
+}
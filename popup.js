@@ -0,0 +1,197 @@
+// Popup of the extension icon: tagged accounts and coins found in the active tab, the display mode,
+// a switch for the current site and the pause. The content script of the tab answers with its current matches
+
+// The list is asked for again while the popup is open, so it follows a scrolling pulse column
+const POPUP_REFRESH_MS = 2000;
+
+class PopupPage {
+    constructor() {
+        this.tab = null;
+        this.page = null; // Answer of the content script; null where it doesn't run
+        this.settings = { ...DEFAULT_SETTINGS };
+        this.init();
+    }
+
+    async init() {
+        this.setupEventListeners();
+        [this.tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+        await this.loadDisplayMode();
+        await this.refresh();
+        setInterval(() => this.refresh(), POPUP_REFRESH_MS);
+    }
+
+    setupEventListeners() {
+        document.getElementById('openManagerBtn').addEventListener('click', () => {
+            chrome.tabs.create({ url: chrome.runtime.getURL('options.html') });
+            window.close();
+        });
+
+        document.getElementById('siteToggle').addEventListener('change', (e) => {
+            this.setSiteEnabled(e.target.checked);
+        });
+
+        document.getElementById('pauseBtn').addEventListener('click', () => {
+            this.setPause(Number(document.getElementById('pauseDurationSelect').value));
+        });
+        document.getElementById('resumeBtn').addEventListener('click', () => this.setPause(0));
+
+        document.getElementById('displayModeSelect').addEventListener('change', (e) => {
+            this.renderModeHint(e.target.value);
+            DisplayModes.save(e.target.value).catch(error => console.error('Error saving display mode:', error));
+        });
+
+        document.getElementById('accountsList').addEventListener('click', (e) => {
+            const item = e.target.closest('button.account-item');
+            if (item) this.showCard(item.dataset.key, item.dataset.label);
+        });
+    }
+
+    async loadDisplayMode() {
+        const select = document.getElementById('displayModeSelect');
+        select.replaceChildren(...DISPLAY_MODES.map(mode => DomBuilder.createElement('option', { value: mode.id }, [mode.name])));
+        try {
+            select.value = await DisplayModes.load();
+        } catch (error) {
+            console.error('Error loading display mode:', error);
+        }
+        this.renderModeHint(select.value);
+    }
+
+    renderModeHint(modeId) {
+        const hint = document.getElementById('displayModeHint');
+        hint.textContent = DisplayModes.find(modeId).hint;
+        hint.hidden = !hint.textContent;
+    }
+
+    async refresh() {
+        try {
+            this.settings = await TagsStore.loadSettings();
+        } catch (error) {
+            console.error('Error loading settings:', error);
+        }
+        try {
+            this.page = this.tab ? await chrome.tabs.sendMessage(this.tab.id, { action: 'getPageMatches' }) : null;
+        } catch (error) {
+            this.page = null; // chrome:// pages, sites without a content script, tabs still loading
+        }
+        this.render();
+    }
+
+    // The content script picks the change up from storage; the list follows on the next refresh
+    async setSiteEnabled(enabled) {
+        try {
+            await TagsStore.updateSiteSettings(this.page.site, { enabled });
+        } catch (error) {
+            console.error('Error saving site settings:', error);
+        }
+    }
+
+    // Resuming also ends a pause set with ⏸ in the page panel, which only that page knows about
+    async setPause(minutes) {
+        try {
+            await TagsStore.pauseFor(minutes);
+            if (minutes === 0 && this.page && this.page.paused) {
+                await chrome.tabs.sendMessage(this.tab.id, { action: 'resume' });
+            }
+        } catch (error) {
+            console.error('Error saving pause:', error);
+        }
+        await this.refresh();
+    }
+
+    isPaused() {
+        return TagsStore.isPaused(this.settings) || Boolean(this.page && this.page.paused);
+    }
+
+    renderPause() {
+        const paused = this.isPaused();
+        let status = '';
+        if (TagsStore.isPaused(this.settings)) {
+            const until = new Date(this.settings.pausedUntil).toLocaleTimeString('ru-RU', { hour: '2-digit', minute: '2-digit' });
+            status = `⏸ На паузе до ${until}`;
+        } else if (paused) {
+            status = '⏸ На паузе в панели страницы';
+        }
+        document.getElementById('pauseStatus').textContent = status;
+        document.getElementById('pauseStatus').hidden = !paused;
+        document.getElementById('pauseDurationLabel').hidden = paused;
+        document.getElementById('pauseBtn').hidden = paused;
+        document.getElementById('resumeBtn').hidden = !paused;
+    }
+
+    // Reuses the handler desktop notifications use to bring a card into view
+    showCard(tagKey, label) {
+        chrome.tabs.sendMessage(this.tab.id, { action: 'scrollToCard', tagKey, label }).catch(() => {});
+    }
+
+    render() {
+        const siteName = document.getElementById('siteName');
+        const toggleRow = document.getElementById('siteToggleRow');
+        const summary = document.getElementById('pageSummary');
+        const list = document.getElementById('accountsList');
+        this.renderPause();
+
+        if (!this.page) {
+            siteName.textContent = '';
+            toggleRow.hidden = true;
+            summary.textContent = '';
+            list.replaceChildren(DomBuilder.createElement('div', { class: 'empty-state' }, [
+                'На этой странице расширение не работает'
+            ]));
+            return;
+        }
+
+        siteName.textContent = this.page.site;
+        toggleRow.hidden = false;
+        document.getElementById('siteToggle').checked = this.page.enabled;
+
+        if (!this.page.enabled || this.isPaused()) {
+            summary.textContent = '';
+            list.replaceChildren(DomBuilder.createElement('div', { class: 'empty-state' }, [
+                this.page.enabled ? 'Подсветка на паузе' : 'Подсветка на этом сайте выключена'
+            ]));
+            return;
+        }
+
+        const cards = this.page.accounts.reduce((sum, account) => sum + account.cards, 0);
+        const mentions = this.page.accounts.reduce((sum, account) => sum + account.mentions, 0);
+        summary.textContent = `Аккаунтов: ${this.page.accounts.length} · монет: ${cards} · упоминаний: ${mentions}`;
+
+        if (this.page.accounts.length === 0) {
+            list.replaceChildren(DomBuilder.createElement('div', { class: 'empty-state' }, [
+                'На странице нет отмеченных аккаунтов'
+            ]));
+            return;
+        }
+
+        list.replaceChildren(...this.page.accounts.map(account => this.renderAccount(account)));
+    }
+
+    // Accounts with coin cards are buttons that scroll the page to the card
+    renderAccount(account) {
+        const meta = [];
+        if (account.cards) meta.push(`монет: ${account.cards}`);
+        if (account.mentions) meta.push(`упоминаний: ${account.mentions}`);
+
+        const item = DomBuilder.createElement(account.cards ? 'button' : 'div', {
+            class: 'account-item',
+            type: account.cards ? 'button' : null,
+            title: account.cards ? 'Показать карточку' : null,
+            'data-key': account.key,
+            'data-label': account.label
+        }, [
+            DomBuilder.createElement('span', { class: 'account-label' }, [
+                account.group.badge ? `${account.group.badge} ${account.label}` : account.label
+            ]),
+            DomBuilder.createElement('span', { class: 'account-meta' }, [`${account.group.name} · ${meta.join(' · ')}`]),
+            account.coins.length ? DomBuilder.createElement('span', { class: 'account-coins' }, [account.coins.join(', ')]) : null
+        ]);
+        item.style.borderLeftColor = account.group.color;
+        return item;
+    }
+}
+
+// Initialize the popup when it opens
+document.addEventListener('DOMContentLoaded', () => {
+    new PopupPage();
+});
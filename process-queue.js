@@ -0,0 +1,89 @@
+// Page changes wait here until the browser is idle and are then processed a few nodes at a time.
+// Nodes from every mutation batch stay queued until processed, so a busy feed can't make cards slip through
+
+// Process anyway when the page hasn't been idle for this long
+const IDLE_TIMEOUT_MS = 500;
+// Benchmark results kept for console.table(xcomHighlighter.benchmarks)
+const BENCHMARK_LIMIT = 100;
+
+class ProcessQueue {
+    // `process(element)` handles one queued element; `onBatch(stats)` is called whenever the queue runs empty
+    constructor(process, onBatch) {
+        this.process = process;
+        this.onBatch = onBatch;
+        this.pending = new Set();
+        this.idleHandle = null;
+        this.batch = null; // Stats of the batch being processed: since the queue was last empty
+    }
+
+    add(element) {
+        // Already covered when one of its ancestors is waiting
+        for (let parent = element.parentElement; parent; parent = parent.parentElement) {
+            if (this.pending.has(parent)) return;
+        }
+
+        this.pending.add(element);
+        if (!this.batch) {
+            this.batch = { queuedAt: performance.now(), nodes: 0, chunks: 0, processingMs: 0 };
+        }
+        this.schedule();
+    }
+
+    schedule() {
+        if (this.idleHandle !== null) return;
+        this.idleHandle = requestIdleCallback(deadline => this.drain(deadline), { timeout: IDLE_TIMEOUT_MS });
+    }
+
+    // At least one element per chunk, so a page that never goes idle still gets processed
+    drain(deadline) {
+        this.idleHandle = null;
+        const started = performance.now();
+        let processed = 0;
+
+        for (const element of this.pending) {
+            if (processed > 0 && deadline.timeRemaining() <= 0) break;
+            this.pending.delete(element);
+            if (element.isConnected) {
+                // One broken card must not stall the rest of the queue
+                try {
+                    this.process(element);
+                } catch (error) {
+                    console.error('Error processing page changes:', error, element);
+                }
+            }
+            processed++;
+        }
+
+        this.batch.nodes += processed;
+        this.batch.chunks++;
+        this.batch.processingMs += performance.now() - started;
+
+        if (this.pending.size) {
+            this.schedule();
+            return;
+        }
+        // Elements queued by `process` itself were already taken by the loop above
+        if (this.idleHandle !== null) {
+            cancelIdleCallback(this.idleHandle);
+            this.idleHandle = null;
+        }
+
+        const batch = this.batch;
+        this.batch = null;
+        this.onBatch({
+            nodes: batch.nodes,
+            chunks: batch.chunks,
+            processingMs: Math.round(batch.processingMs * 10) / 10,
+            totalMs: Math.round(performance.now() - batch.queuedAt)
+        });
+    }
+
+    clear() {
+        if (this.idleHandle !== null) {
+            cancelIdleCallback(this.idleHandle);
+            this.idleHandle = null;
+        }
+        this.pending.clear();
+        this.batch = null;
+    }
+}
@@ -0,0 +1,186 @@
+// Site adapters: where coin cards are on a launchpad or screener page and what is inside them
+//
+//   matches       Chrome match patterns of the pages, e.g. "https://dexscreener.com/*"
+//   cardSelector  one coin card; the card is the closest match above a link
+//   nameSelector  coin name inside a card
+//   linkSelector  links checked against the tags (X.com, Telegram, sites, addresses)
+//   searchUrl     optional, opens a coin by name when the card has no link of its own ("%s" is the name)
+//
+// Built-in adapters ship with the extension; custom ones are stored in sync and injected with
+// chrome.scripting.registerContentScripts once the user grants access to the site
+
+const BUILTIN_ADAPTERS = [
+    {
+        id: 'axiom-pulse',
+        name: 'axiom.trade pulse',
+        matches: ['https://axiom.trade/pulse*'],
+        cardSelector: '[class*="flex flex-col flex-1 h-full gap-[20px]"]',
+        nameSelector: 'span.text-textPrimary',
+        linkSelector: 'a[href]',
+        searchUrl: 'https://axiom.trade/search?q=%s',
+        builtin: true
+    }
+];
+
+const CUSTOM_ADAPTERS_SCRIPT_ID = 'xcom-custom-adapters';
+const MATCH_PATTERN_FORMAT = /^(\*|https?):\/\/(\*|\*\.[^/*]+|[^/*]+)(\/.*)$/;
+// A link nested deeper than this inside its card is more likely a sign of a wrong name selector
+const CARD_MAX_DEPTH = 15;
+
+class SiteAdapters {
+    static async loadCustom() {
+        const result = await chrome.storage.sync.get(['xcom_site_adapters']);
+        return Array.isArray(result.xcom_site_adapters) ? result.xcom_site_adapters : [];
+    }
+
+    static async saveCustom(adapters) {
+        await chrome.storage.sync.set({ 'xcom_site_adapters': adapters });
+    }
+
+    // Custom adapters come first so they can override a built-in one for the same pages
+    static async loadAll() {
+        const custom = (await this.loadCustom()).filter(adapter => adapter.enabled !== false);
+        return [...custom, ...BUILTIN_ADAPTERS];
+    }
+
+    static createAdapter({ name, pattern, cardSelector, nameSelector, linkSelector }) {
+        return {
+            id: 'a' + Date.now().toString(36) + Math.random().toString(36).slice(2, 6),
+            name: name || pattern.match(MATCH_PATTERN_FORMAT)[2],
+            matches: [pattern],
+            cardSelector,
+            nameSelector,
+            linkSelector: linkSelector || 'a[href]',
+            enabled: true
+        };
+    }
+
+    // Returns a user-facing error for an adapter that can't work, or null
+    static validate({ pattern, cardSelector, nameSelector, linkSelector }) {
+        if (!MATCH_PATTERN_FORMAT.test(pattern || '')) {
+            return 'Адрес страниц в формате https://example.com/* (звездочка - любые символы)';
+        }
+        if (!cardSelector) {
+            return 'Укажите селектор карточки монеты';
+        }
+
+        const selectors = [['карточки', cardSelector], ['названия', nameSelector], ['ссылок', linkSelector]];
+        for (const [label, selector] of selectors) {
+            if (!selector) continue;
+            try {
+                document.createDocumentFragment().querySelector(selector);
+            } catch (error) {
+                return `Неверный CSS-селектор ${label}: ${selector}`;
+            }
+        }
+        return null;
+    }
+
+    static patternToRegExp(pattern) {
+        const [, scheme, host, path] = pattern.match(MATCH_PATTERN_FORMAT);
+        const escape = (text) => text.replace(/[.+?^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*');
+
+        let hostSource = escape(host);
+        if (host === '*') {
+            hostSource = '[^/]+';
+        } else if (host.startsWith('*.')) {
+            hostSource = `([^/]+\\.)?${escape(host.slice(2))}`;
+        }
+        return new RegExp(`^${scheme === '*' ? 'https?' : scheme}://${hostSource}${escape(path)}$`);
+    }
+
+    static matchesUrl(adapter, href) {
+        const url = new URL(href);
+        const target = `${url.protocol}//${url.host}${url.pathname}${url.search}`;
+        return adapter.matches.some(pattern => {
+            try {
+                return this.patternToRegExp(pattern).test(target);
+            } catch (error) {
+                return false;
+            }
+        });
+    }
+
+    static findForUrl(adapters, href) {
+        return adapters.find(adapter => this.matchesUrl(adapter, href)) || null;
+    }
+
+    // Origin the user has to grant for a custom adapter
+    static getOriginPattern(pattern) {
+        const [, scheme, host] = pattern.match(MATCH_PATTERN_FORMAT);
+        return `${scheme}://${host}/*`;
+    }
+
+    // Pages the manifest already injects into; registering them again would load the scripts twice
+    static isCoveredByManifest(pattern) {
+        const [, scheme, host] = pattern.match(MATCH_PATTERN_FORMAT);
+        return scheme === 'https' && chrome.runtime.getManifest().content_scripts.some(script =>
+            script.matches.some(match => match === `https://${host}/*`)
+        );
+    }
+
+    // Sites the content script runs on, for per-site settings. Hosts with a wildcard can't be listed
+    static listSites(adapters) {
+        const patterns = [
+            ...chrome.runtime.getManifest().content_scripts.flatMap(script => script.matches),
+            ...adapters.flatMap(adapter => adapter.matches)
+        ];
+        const sites = patterns
+            .map(pattern => (pattern.match(MATCH_PATTERN_FORMAT) || [])[2])
+            .filter(host => host && !host.includes('*'))
+            .map(host => TagsStore.getSiteKey(host));
+        return [...new Set(sites)];
+    }
+
+    // Re-registers one content script for all enabled custom adapters the user has granted access to
+    static async registerContentScripts() {
+        const registered = await chrome.scripting.getRegisteredContentScripts({ ids: [CUSTOM_ADAPTERS_SCRIPT_ID] });
+        if (registered.length) {
+            await chrome.scripting.unregisterContentScripts({ ids: [CUSTOM_ADAPTERS_SCRIPT_ID] });
+        }
+
+        const patterns = [];
+        for (const adapter of await this.loadCustom()) {
+            if (adapter.enabled === false) continue;
+            for (const pattern of adapter.matches) {
+                if (this.isCoveredByManifest(pattern) || patterns.includes(pattern)) continue;
+                if (await chrome.permissions.contains({ origins: [this.getOriginPattern(pattern)] })) {
+                    patterns.push(pattern);
+                }
+            }
+        }
+        if (!patterns.length) return;
+
+        await chrome.scripting.registerContentScripts([{
+            id: CUSTOM_ADAPTERS_SCRIPT_ID,
+            matches: patterns,
+            js: chrome.runtime.getManifest().content_scripts[0].js,
+            runAt: 'document_idle',
+            persistAcrossSessions: true
+        }]);
+    }
+
+    // The card a link belongs to, or null when it can't be told for sure. The card selector decides;
+    // when it misses (pulse markup changes often) the card is found by the coin name instead
+    static findCard(link, adapter) {
+        const card = adapter.cardSelector ? link.closest(adapter.cardSelector) : null;
+        if (card || !adapter.nameSelector) return card;
+        return this.findCardByName(link, adapter.nameSelector);
+    }
+
+    // The card is the outermost ancestor with exactly one coin name: its parent holds several cards.
+    // A link outside any named card, or one that never reaches a list, has no card
+    static findCardByName(link, nameSelector) {
+        let element = link;
+        for (let depth = 0; depth < CARD_MAX_DEPTH; depth++) {
+            const parent = element.parentElement;
+            if (!parent || parent === document.body) return null;
+
+            if (parent.querySelectorAll(nameSelector).length > 1) {
+                return element.querySelector(nameSelector) ? element : null;
+            }
+            element = parent;
+        }
+        return null;
+    }
+}
@@ -0,0 +1,196 @@
+// "+ тег" / "✓ тег" controls next to X.com handles: on pulse cards, profile headers and tweet authors.
+// Clicking opens a small popover to add the account (with a group and note) or remove it
+
+class TagButtons {
+    constructor(highlighter) {
+        this.highlighter = highlighter;
+        this.popover = null;
+    }
+
+    // Profile header on a profile page, author line of every tweet
+    processXPage(container) {
+        const profile = XUrlParser.parse(window.location.href);
+        if (profile && profile.kind === 'profile') {
+            this.querySelfAndAll(container, '[data-testid="UserName"]').forEach(header => {
+                this.addButton(header, profile.username, { append: true });
+            });
+        }
+
+        this.querySelfAndAll(container, 'article [data-testid="User-Name"]').forEach(author => {
+            const link = Array.from(author.querySelectorAll('a[href]')).find(a => XUrlParser.parseLink(a));
+            const parsed = link && XUrlParser.parseLink(link);
+            if (parsed && parsed.username) {
+                this.addButton(author, parsed.username, { append: true });
+            }
+        });
+    }
+
+    querySelfAndAll(container, selector) {
+        const found = Array.from(container.querySelectorAll(selector));
+        return container.matches(selector) ? [container, ...found] : found;
+    }
+
+    // Placed right after a link, or at the end of a header element
+    addButton(anchor, username, { append = false } = {}) {
+        const existing = append ? anchor.querySelector(':scope > .xcom-tag-toggle') : anchor.nextElementSibling;
+        if (existing && existing.classList.contains('xcom-tag-toggle')) return;
+
+        const button = document.createElement('span');
+        button.className = 'xcom-tag-toggle';
+        button.setAttribute('role', 'button');
+        button.setAttribute('data-xcom-username', username);
+        this.applyState(button, username);
+
+        button.addEventListener('click', (e) => {
+            // Cards open the coin on click and X.com opens the tweet
+            e.preventDefault();
+            e.stopPropagation();
+            this.openPopover(button, username);
+        });
+
+        if (append) {
+            anchor.appendChild(button);
+        } else {
+            anchor.after(button);
+        }
+    }
+
+    applyState(button, username) {
+        const match = this.highlighter.tagIndex.get(`x:${username}`);
+        button.textContent = match ? '✓ тег' : '+ тег';
+        button.title = match
+            ? `@${username} в группе «${match.group.name}»${match.tag.feed ? ` (подписка «${match.tag.feed.name}»)` : ''}`
+            : `Добавить @${username} в теги`;
+        button.toggleAttribute('data-xcom-tagged', Boolean(match));
+        if (match) {
+            button.style.setProperty('--xcom-color', match.group.color);
+        } else {
+            button.style.removeProperty('--xcom-color');
+        }
+    }
+
+    openPopover(button, username) {
+        this.closePopover();
+
+        const match = this.highlighter.tagIndex.get(`x:${username}`);
+        const popover = document.createElement('div');
+        popover.className = 'xcom-tag-popover';
+        if (match) {
+            popover.setAttribute('data-xcom-tagged', '');
+            popover.style.setProperty('--xcom-color', match.group.color);
+        }
+
+        const title = document.createElement('div');
+        title.className = 'xcom-popover-title';
+        title.textContent = `@${username}`;
+        popover.appendChild(title);
+
+        if (match && match.tag.feed) {
+            popover.appendChild(this.createText(`Из подписки «${match.tag.feed.name}» - изменить можно только в самой подписке`));
+            popover.appendChild(this.createActions([['Закрыть', 'info', () => this.closePopover()]]));
+        } else if (match) {
+            popover.appendChild(this.createText(`В группе «${match.group.name}». Убрать из тегов?`));
+            popover.appendChild(this.createActions([
+                ['Отмена', 'info', () => this.closePopover()],
+                ['Убрать', 'error', () => this.submit(() => this.highlighter.removeTag(`x:${username}`))]
+            ]));
+        } else {
+            const groupSelect = document.createElement('select');
+            groupSelect.className = 'xcom-field';
+            this.highlighter.groups.forEach(group => {
+                const option = document.createElement('option');
+                option.value = group.id;
+                option.textContent = group.name;
+                groupSelect.appendChild(option);
+            });
+
+            const noteInput = document.createElement('input');
+            noteInput.type = 'text';
+            noteInput.maxLength = 500;
+            noteInput.placeholder = 'Заметка (необязательно)';
+            noteInput.className = 'xcom-field';
+
+            const add = () => this.submit(() => this.highlighter.addTag(
+                { type: 'x', value: username },
+                { group: groupSelect.value, note: noteInput.value.trim() }
+            ));
+            noteInput.addEventListener('keydown', (e) => {
+                if (e.key === 'Enter') add();
+            });
+
+            popover.append(groupSelect, noteInput, this.createActions([
+                ['Отмена', 'info', () => this.closePopover()],
+                ['Добавить', 'success', add]
+            ]));
+        }
+
+        // X.com and axiom have their own keyboard shortcuts and click handlers
+        popover.addEventListener('keydown', (e) => {
+            e.stopPropagation();
+            if (e.key === 'Escape') this.closePopover();
+        });
+        popover.addEventListener('click', (e) => e.stopPropagation());
+
+        document.body.appendChild(popover);
+        this.positionPopover(popover, button);
+        this.popover = popover;
+
+        const field = popover.querySelector('input');
+        if (field) field.focus();
+
+        // Any click outside closes it
+        this.outsideClick = (e) => {
+            if (!popover.contains(e.target) && e.target !== button) this.closePopover();
+        };
+        setTimeout(() => document.addEventListener('mousedown', this.outsideClick), 0);
+    }
+
+    createText(text) {
+        const line = document.createElement('div');
+        line.className = 'xcom-popover-text';
+        line.textContent = text;
+        return line;
+    }
+
+    createActions(actions) {
+        const row = document.createElement('div');
+        row.className = 'xcom-popover-actions';
+        actions.forEach(([text, type, onClick]) => {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.textContent = text;
+            button.className = type === 'info' ? 'xcom-popover-button' : `xcom-popover-button xcom-popover-button-${type}`;
+            button.addEventListener('click', onClick);
+            row.appendChild(button);
+        });
+        return row;
+    }
+
+    // Below the button, or above it when there's no room
+    positionPopover(popover, button) {
+        const rect = button.getBoundingClientRect();
+        const height = popover.offsetHeight;
+        const top = rect.bottom + 6 + height > window.innerHeight ? rect.top - 6 - height : rect.bottom + 6;
+        popover.style.top = `${Math.max(6, top)}px`;
+        popover.style.left = `${Math.max(6, Math.min(rect.left, window.innerWidth - popover.offsetWidth - 6))}px`;
+    }
+
+    // Buttons redraw themselves when the tag change reaches storage and the page is reprocessed
+    async submit(edit) {
+        this.popover.querySelectorAll('button, input, select').forEach(element => { element.disabled = true; });
+        await edit();
+        this.closePopover();
+    }
+
+    closePopover() {
+        if (!this.popover) return;
+        this.popover.remove();
+        this.popover = null;
+        document.removeEventListener('mousedown', this.outsideClick);
+    }
+
+    clear() {
+        this.closePopover();
+        document.querySelectorAll('.xcom-tag-toggle').forEach(button => button.remove());
+    }
+}
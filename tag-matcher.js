@@ -0,0 +1,77 @@
+// Non-exact matching of X.com handles: pattern tags and look-alike (impersonation) detection
+//
+// Pattern tags:
+//   elon*                 -> any handle starting with "elon"
+//   elon?musk             -> "elon_musk", "elonxmusk", ...
+//   /^elon_?musk\d*$/     -> regular expression, always case-insensitive
+//
+// Look-alikes of a protected @elonmusk:
+//   eIonmusk, e1onmusk    -> same skeleton after folding homoglyphs
+//   elonmusk_, elon_musk1 -> within the allowed edit distance of the skeleton
+
+const PATTERN_REGEX_FORMAT = /^\/(.+)\/([a-z]*)$/;
+
+// Characters that read the same as another one in a handle; underscores are dropped entirely
+const HOMOGLYPHS = {
+    '0': 'o', '1': 'l', 'i': 'l', '|': 'l', '3': 'e', '4': 'a', '5': 's', '7': 't', '8': 'b', '9': 'g',
+    '_': ''
+};
+const HOMOGLYPH_SEQUENCES = [['rn', 'm'], ['vv', 'w'], ['cl', 'd']];
+
+// Handles this short are only compared by skeleton: one edit away is a different name
+const LOOKALIKE_MIN_LENGTH = 5;
+
+class TagMatcher {
+    static isRegexPattern(value) {
+        return PATTERN_REGEX_FORMAT.test(value);
+    }
+
+    // Returns a RegExp for a stored pattern value; throws SyntaxError for an invalid regex
+    static compilePattern(value) {
+        const regex = value.match(PATTERN_REGEX_FORMAT);
+        if (regex) {
+            const flags = regex[2].replace(/[gy]/g, '');
+            return new RegExp(regex[1], flags.includes('i') ? flags : `${flags}i`);
+        }
+
+        const source = value
+            .replace(/[.+^${}()|[\]\\]/g, '\\$&')
+            .replace(/\*/g, '[a-z0-9_]*')
+            .replace(/\?/g, '[a-z0-9_]');
+        return new RegExp(`^${source}$`, 'i');
+    }
+
+    // Folds a handle to the shape a reader sees: "eIon_musk" and "elonmusk" share a skeleton
+    static skeleton(handle) {
+        let folded = '';
+        for (const char of handle.toLowerCase()) {
+            folded += char in HOMOGLYPHS ? HOMOGLYPHS[char] : char;
+        }
+        return HOMOGLYPH_SEQUENCES.reduce((result, [sequence, replacement]) => result.split(sequence).join(replacement), folded);
+    }
+
+    // Edit distance allowed for a protected handle of this skeleton length
+    static getMaxDistance(length, maxDistance) {
+        if (length < LOOKALIKE_MIN_LENGTH) return 0;
+        return length < 8 ? Math.min(1, maxDistance) : maxDistance;
+    }
+
+    // Levenshtein distance that gives up as soon as it exceeds `max`; returns max + 1 in that case
+    static boundedDistance(a, b, max) {
+        if (Math.abs(a.length - b.length) > max) return max + 1;
+
+        let previous = Array.from({ length: b.length + 1 }, (value, index) => index);
+        for (let i = 1; i <= a.length; i++) {
+            const current = [i];
+            let rowMin = i;
+            for (let j = 1; j <= b.length; j++) {
+                const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+                current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+                rowMin = Math.min(rowMin, current[j]);
+            }
+            if (rowMin > max) return max + 1;
+            previous = current;
+        }
+        return Math.min(previous[b.length], max + 1);
+    }
+}
@@ -0,0 +1,636 @@
+// Shared storage helpers for X.com Tags Manager
+// Loaded by the options page, the content script and the background worker (after x-url-parser.js and tag-matcher.js)
+
+const DEFAULT_GROUP_ID = 'default';
+
+// Kinds of identifiers a tag can point at; `x` is the original X.com username tag
+const TAG_TYPES = {
+    x: { label: 'X.com', placeholder: 'username' },
+    pattern: { label: 'Шаблон X', placeholder: 'elon* или /^elon_?musk\\d*$/' },
+    community: { label: 'Сообщество', placeholder: 'ссылка x.com/i/communities/... или ID' },
+    address: { label: 'Адрес', placeholder: 'адрес контракта или кошелька (Solana/EVM)' },
+    telegram: { label: 'Telegram', placeholder: 'канал или ссылка t.me/...' },
+    domain: { label: 'Сайт', placeholder: 'example.com' },
+    tiktok: { label: 'TikTok', placeholder: 'username или ссылка на профиль' }
+};
+
+const SOLANA_ADDRESS_PATTERN = /^[1-9A-HJ-NP-Za-km-z]{32,44}$/;
+const EVM_ADDRESS_PATTERN = /^0x[a-fA-F0-9]{40}$/;
+
+// Pseudo-group used to style coins from blocklisted accounts; always wins over real groups
+const BLOCKLIST_GROUP = {
+    id: 'blocklist',
+    name: 'Черный список',
+    color: '#dc3545',
+    badge: '⚠'
+};
+
+// Pseudo-group for handles that look like a protected tag but aren't it
+const IMPERSONATION_GROUP = {
+    id: 'impersonation',
+    name: 'Возможная подделка',
+    color: '#fd7e14',
+    badge: '🎭'
+};
+
+const DEFAULT_SETTINGS = {
+    authorName: '',
+    blockMode: 'frame', // 'frame' | 'dim' | 'collapse'
+    alertsEnabled: true,
+    alertSound: false,
+    quietHours: { enabled: false, start: '23:00', end: '08:00' },
+    activeWindowDays: 7, // "Active" tags are the ones seen on pulse within this many days
+    feedIntervalMinutes: 60, // How often subscribed team lists are re-fetched
+    lookalikeDistance: 1, // Edits allowed between a protected handle and a look-alike; 0 = homoglyphs only
+    benchmark: false, // Log how long pages take to process each batch of changes
+    sites: {}, // hostname -> changes to DEFAULT_SITE_SETTINGS
+    pausedUntil: 0 // Timestamp until which all pages stay unhighlighted
+};
+
+// What the extension does on a site; every switch is on until changed
+const DEFAULT_SITE_SETTINGS = {
+    enabled: true,
+    cards: true, // Highlight coin cards (pages with a site adapter) and show the page panel
+    mentions: true, // Highlight @mentions in page text
+    clickOpen: true // A click on a highlighted card opens the coin in a new tab
+};
+
+// Stored lists are split into chunks below chrome.storage.sync's 8 KB per-item quota
+const STORAGE_LISTS = ['tags', 'groups', 'blocklist'];
+const CHUNK_BYTES = 7000;
+// Past this the lists no longer fit in sync (100 KB total) next to settings, so they move to local
+const SYNC_DATA_LIMIT = 90 * 1024;
+const SAVE_DEBOUNCE_MS = 300; // Coalesces bursts of edits; sync allows 120 writes per minute
+
+const SCHEMA_VERSION = 3;
+// The old `last_update` key is left for the first entry of the change journal (see ChangeJournal.ensureBaseline)
+const LEGACY_KEYS = ['xcom_tags', 'xcom_groups', 'xcom_blocklist'];
+
+// Data transforms applied in order to installs older than `version`
+const SCHEMA_MIGRATIONS = [
+    // 1.x stored bare usernames; tags became typed objects with groups and a blocklist
+    { version: 2, migrate: (data) => {
+        const groups = TagsStore.normalizeGroups(data.groups);
+        return {
+            ...data,
+            groups,
+            tags: TagsStore.normalizeTags(data.tags, groups),
+            blocklist: TagsStore.normalizeBlocklist(data.blocklist)
+        };
+    } },
+    // Storage layout only: single sync keys were split into chunks (see readLegacy/writeData)
+    { version: 3, migrate: (data) => data }
+];
+
+class TagsStore {
+    static pendingWrite = null;
+    static pendingData = null;
+    static lastWrite = Promise.resolve();
+    static migration = null;
+
+    static getDefaultGroups() {
+        return [{
+            id: DEFAULT_GROUP_ID,
+            name: 'Основная',
+            color: '#28a745',
+            badge: '',
+            alerts: true
+        }];
+    }
+
+    // Groups are ordered by priority: the first group wins over the others
+    static normalizeGroups(groups) {
+        if (!Array.isArray(groups) || groups.length === 0) {
+            return this.getDefaultGroups();
+        }
+
+        const normalized = groups
+            .filter(group => group && typeof group.id === 'string')
+            .map(group => ({
+                id: group.id,
+                name: String(group.name || 'Без названия'),
+                color: /^#[0-9a-f]{6}$/i.test(group.color) ? group.color : '#28a745',
+                badge: String(group.badge || ''),
+                alerts: group.alerts !== false
+            }));
+
+        return normalized.length ? normalized : this.getDefaultGroups();
+    }
+
+    // A new tag as added by hand, from the options page or the in-page panel
+    static createTag({ type, value }, groupId, addedBy = '') {
+        return {
+            type,
+            value,
+            group: groupId,
+            note: '',
+            createdAt: new Date().toISOString(),
+            addedBy,
+            links: [],
+            trust: null,
+            protect: false
+        };
+    }
+
+    // Accepts a legacy string ("username"), a legacy { username } object or a typed { type, value } tag
+    static readIdentity(entry) {
+        if (typeof entry === 'string') {
+            return { type: 'x', value: this.normalizeValue('x', entry) };
+        }
+        if (!entry || typeof entry !== 'object') return null;
+
+        if (typeof entry.value === 'string' && TAG_TYPES[entry.type]) {
+            return { type: entry.type, value: this.normalizeValue(entry.type, entry.value) };
+        }
+        if (typeof entry.username === 'string') {
+            return { type: 'x', value: this.normalizeValue('x', entry.username) };
+        }
+        return null;
+    }
+
+    // Lenient normalization for stored values; parseTagValue does the strict checks for user input
+    static normalizeValue(type, value) {
+        const trimmed = String(value).trim();
+        if (type === 'address' && SOLANA_ADDRESS_PATTERN.test(trimmed)) {
+            return trimmed; // Base58 is case-sensitive
+        }
+        if (type === 'pattern' && TagMatcher.isRegexPattern(trimmed)) {
+            return trimmed; // \D and \d are different things
+        }
+        return trimmed.replace(/^@/, '').toLowerCase();
+    }
+
+    // Returns { value } for valid input of the given type or { error } with a user-facing message
+    static parseTagValue(type, input) {
+        let value = String(input).trim();
+
+        if (!value) {
+            return { error: 'Пожалуйста, введите значение' };
+        }
+
+        if (type === 'x') {
+            // Profile and status links are accepted as well as bare handles
+            if (/[./]/.test(value)) {
+                const parsed = XUrlParser.parse(value);
+                if (!parsed || !parsed.username) return { error: 'Ссылка не ведет на профиль или пост X.com' };
+                value = parsed.username;
+            }
+            value = value.replace(/^@/, '').toLowerCase();
+            if (value.length < 2) return { error: 'Имя пользователя должно содержать минимум 2 символа' };
+            if (value.length > 15) return { error: 'Имя пользователя не может быть длиннее 15 символов' };
+            if (!/^\w+$/.test(value)) return { error: 'Имя пользователя: только латиница, цифры и _' };
+            return { value };
+        }
+
+        if (type === 'pattern') {
+            if (TagMatcher.isRegexPattern(value)) {
+                try {
+                    TagMatcher.compilePattern(value);
+                } catch (error) {
+                    return { error: `Ошибка в регулярном выражении: ${error.message}` };
+                }
+                return { value };
+            }
+            value = value.replace(/^@/, '').toLowerCase();
+            if (!/^[a-z0-9_*?]+$/.test(value)) return { error: 'Шаблон: латиница, цифры, _, * и ?, или /регулярное выражение/' };
+            if (!/[*?]/.test(value)) return { error: 'В шаблоне нет * или ? - добавьте обычный тег X.com' };
+            if (!/[a-z0-9_]/.test(value)) return { error: 'Шаблон совпадет с любым аккаунтом' };
+            return { value };
+        }
+
+        if (type === 'community') {
+            const parsed = /^\d+$/.test(value) ? { kind: 'community', communityId: value } : XUrlParser.parse(value);
+            if (!parsed || parsed.kind !== 'community') return { error: 'Введите ссылку на сообщество x.com/i/communities/... или его ID' };
+            return { value: parsed.communityId };
+        }
+
+        if (type === 'address') {
+            if (EVM_ADDRESS_PATTERN.test(value)) return { value: value.toLowerCase() };
+            if (SOLANA_ADDRESS_PATTERN.test(value)) return { value };
+            return { error: 'Это не похоже на адрес Solana или EVM (0x...)' };
+        }
+
+        if (type === 'telegram') {
+            // t.me/s/<channel> is the public web preview; pages link to it as often as to the channel
+            value = value.replace(/^(?:https?:\/\/)?(?:www\.)?(?:t|telegram)\.me\/(?:s\/)?/i, '')
+                .replace(/^@/, '').split(/[/?#]/)[0].toLowerCase();
+            if (!/^[a-z0-9_]{4,32}$/.test(value)) return { error: 'Имя Telegram: 4–32 символа, латиница, цифры и _' };
+            return { value };
+        }
+
+        if (type === 'domain') {
+            value = value.replace(/^[a-z]+:\/\//i, '').split(/[/?#:]/)[0].toLowerCase().replace(/^www\./, '');
+            if (!/^[a-z0-9-]+(\.[a-z0-9-]+)+$/.test(value)) return { error: 'Введите домен, например example.com' };
+            return { value };
+        }
+
+        if (type === 'tiktok') {
+            value = value.replace(/^(?:https?:\/\/)?(?:www\.)?tiktok\.com\//i, '')
+                .replace(/^@/, '').split(/[/?#]/)[0].toLowerCase();
+            if (!/^[a-z0-9_.]{2,24}$/.test(value)) return { error: 'Имя TikTok: 2–24 символа, латиница, цифры, _ и .' };
+            return { value };
+        }
+
+        return { error: 'Неизвестный тип тега' };
+    }
+
+    // Best guess at the tag type of a pasted handle or link; parseTagValue does the validation
+    static detectTagType(input) {
+        const value = String(input).trim();
+        const prefixed = value.match(/^([a-z]+):(?!\/\/)/);
+        if (prefixed && TAG_TYPES[prefixed[1]]) return prefixed[1];
+
+        if (TagMatcher.isRegexPattern(value) || /^@?[\w*?]*[*?][\w*?]*$/.test(value)) return 'pattern';
+        if (EVM_ADDRESS_PATTERN.test(value) || SOLANA_ADDRESS_PATTERN.test(value)) return 'address';
+        if (/^@?\w{1,15}$/.test(value)) return 'x';
+
+        let host = '';
+        try {
+            host = new URL(/^[a-z]+:\/\//i.test(value) ? value : `https://${value}`).hostname.toLowerCase();
+        } catch (error) {
+            return 'x';
+        }
+        if (XUrlParser.isXHost(host)) {
+            const parsed = XUrlParser.parse(value);
+            return parsed && parsed.kind === 'community' ? 'community' : 'x';
+        }
+        if (/^(www\.)?(t|telegram)\.me$/.test(host)) return 'telegram';
+        if (/(^|\.)tiktok\.com$/.test(host)) return 'tiktok';
+        return host.includes('.') ? 'domain' : 'x';
+    }
+
+    // Strips an explicit "type:" prefix written by detectTagType-friendly exports
+    static stripTypePrefix(input) {
+        const value = String(input).trim();
+        const prefixed = value.match(/^([a-z]+):(?!\/\/)(.*)$/);
+        return prefixed && TAG_TYPES[prefixed[1]] ? prefixed[2] : value;
+    }
+
+    static tagKey(tag) {
+        return `${tag.type}:${tag.value}`;
+    }
+
+    static parseTagKey(key) {
+        const index = key.indexOf(':');
+        return { type: key.slice(0, index), value: key.slice(index + 1) };
+    }
+
+    // Human-readable form used in lists, badges and notifications
+    static formatTag(tag) {
+        if (tag.type === 'x') return `@${tag.value}`;
+        if (tag.type === 'pattern') return TagMatcher.isRegexPattern(tag.value) ? tag.value : `@${tag.value}`;
+        if (tag.type === 'community') return `Сообщество ${tag.value}`;
+        if (tag.type === 'tiktok') return `TikTok @${tag.value}`;
+        if (tag.type === 'telegram') return `t.me/${tag.value}`;
+        if (tag.type === 'address') return `${tag.value.slice(0, 6)}…${tag.value.slice(-4)}`;
+        return tag.value;
+    }
+
+    // Migrate legacy string tags ("username") to typed tag objects
+    static normalizeTags(tags, groups) {
+        if (!Array.isArray(tags)) return [];
+
+        const groupIds = new Set(groups.map(group => group.id));
+        const fallbackGroup = groups[0].id;
+        const seen = new Set();
+        const normalized = [];
+
+        tags.forEach(entry => {
+            const identity = this.readIdentity(entry);
+            if (!identity || !identity.value) return;
+
+            const key = this.tagKey(identity);
+            if (seen.has(key)) return;
+            seen.add(key);
+
+            const tag = typeof entry === 'string' ? {} : entry;
+            normalized.push({
+                type: identity.type,
+                value: identity.value,
+                group: groupIds.has(tag.group) ? tag.group : fallbackGroup,
+                note: typeof tag.note === 'string' ? tag.note : '',
+                createdAt: typeof tag.createdAt === 'string' ? tag.createdAt : null,
+                addedBy: typeof tag.addedBy === 'string' ? tag.addedBy : '',
+                links: Array.isArray(tag.links) ? tag.links.filter(link => typeof link === 'string') : [],
+                trust: this.normalizeTrust(tag.trust),
+                protect: identity.type === 'x' && tag.protect === true // Warn about look-alikes of this handle
+            });
+        });
+
+        return normalized;
+    }
+
+    static normalizeBlocklist(entries) {
+        if (!Array.isArray(entries)) return [];
+
+        const seen = new Set();
+        const normalized = [];
+
+        entries.forEach(entry => {
+            const identity = this.readIdentity(entry);
+            if (!identity || !identity.value) return;
+
+            const key = this.tagKey(identity);
+            if (seen.has(key)) return;
+            seen.add(key);
+
+            const item = typeof entry === 'string' ? {} : entry;
+            normalized.push({
+                type: identity.type,
+                value: identity.value,
+                reason: typeof item.reason === 'string' ? item.reason : '',
+                createdAt: typeof item.createdAt === 'string' ? item.createdAt : null,
+                addedBy: typeof item.addedBy === 'string' ? item.addedBy : ''
+            });
+        });
+
+        return normalized;
+    }
+
+    // Trust score is 1-5, or null when not rated
+    static normalizeTrust(value) {
+        const trust = Number(value);
+        return Number.isInteger(trust) && trust >= 1 && trust <= 5 ? trust : null;
+    }
+
+    static async load() {
+        await this.migrate();
+        const data = await this.readData(await this.getArea());
+        const groups = this.normalizeGroups(data.groups);
+
+        return {
+            tags: this.normalizeTags(data.tags, groups),
+            groups,
+            blocklist: this.normalizeBlocklist(data.blocklist)
+        };
+    }
+
+    // Resolves once the write lands; returns { backend, fallback } where fallback means sync ran out of room.
+    // When the lists were changed is kept by the change journal
+    static save({ tags, groups, blocklist }) {
+        this.pendingData = { tags, groups, blocklist };
+
+        if (!this.pendingWrite) {
+            this.pendingWrite = this.lastWrite
+                .then(() => new Promise(resolve => setTimeout(resolve, SAVE_DEBOUNCE_MS)))
+                .then(() => {
+                    const data = this.pendingData;
+                    this.pendingWrite = null;
+                    return this.writeData(data);
+                });
+            this.lastWrite = this.pendingWrite.catch(() => {});
+        }
+        return this.pendingWrite;
+    }
+
+    // Lists live in sync unless they outgrew it on this device
+    static async getBackend() {
+        const { xcom_storage_backend: backend } = await chrome.storage.local.get('xcom_storage_backend');
+        return backend === 'local' ? 'local' : 'sync';
+    }
+
+    static async getArea() {
+        return chrome.storage[await this.getBackend()];
+    }
+
+    // Moves the lists back to sync, e.g. after the user trimmed them
+    static async restoreSync() {
+        const data = await this.readData(chrome.storage.local);
+        await chrome.storage.local.set({ 'xcom_storage_backend': 'sync' });
+        return this.writeData(data);
+    }
+
+    static async readData(area) {
+        const { xcom_meta: meta } = await area.get('xcom_meta');
+        const data = { tags: [], groups: [], blocklist: [] };
+        if (!meta) return data;
+
+        const keys = STORAGE_LISTS.flatMap(name => this.getChunkKeys(name, meta.chunks[name] || 0));
+        const chunks = await area.get(keys);
+        STORAGE_LISTS.forEach(name => {
+            data[name] = this.getChunkKeys(name, meta.chunks[name] || 0).flatMap(key => chunks[key] || []);
+        });
+        return data;
+    }
+
+    static async writeData(data) {
+        const backend = await this.getBackend();
+        const items = this.toChunkedItems(data);
+
+        if (backend === 'sync' && this.getByteSize(items) <= SYNC_DATA_LIMIT) {
+            try {
+                await this.writeItems(chrome.storage.sync, items);
+                return { backend, fallback: false };
+            } catch (error) {
+                // Only running out of space moves the data; write-rate limits are reported to the caller
+                if (!/QUOTA_BYTES/.test(error.message)) throw error;
+                console.warn('Sync storage is full, switching to local storage:', error);
+            }
+        }
+
+        // Sync keeps its last copy for other devices; this device carries on locally
+        await this.writeItems(chrome.storage.local, items);
+        if (backend === 'sync') {
+            await chrome.storage.local.set({ 'xcom_storage_backend': 'local' });
+        }
+        return { backend: 'local', fallback: backend === 'sync' };
+    }
+
+    static async writeItems(area, items) {
+        const { xcom_meta: previous } = await area.get('xcom_meta');
+        // Meta is written in the same call as the chunks so readers never see a half-written list
+        await area.set(items);
+
+        if (previous) {
+            const stale = STORAGE_LISTS.flatMap(name =>
+                this.getChunkKeys(name, previous.chunks[name] || 0).slice(items.xcom_meta.chunks[name])
+            );
+            if (stale.length) await area.remove(stale);
+        }
+    }
+
+    static toChunkedItems(data) {
+        const meta = { version: SCHEMA_VERSION, chunks: {} };
+        const items = { 'xcom_meta': meta };
+
+        STORAGE_LISTS.forEach(name => {
+            const chunks = this.chunkList(data[name] || []);
+            meta.chunks[name] = chunks.length;
+            chunks.forEach((chunk, index) => {
+                items[`xcom_${name}_${index}`] = chunk;
+            });
+        });
+        return items;
+    }
+
+    // Greedy split by serialized UTF-8 size; notes in Cyrillic take two bytes per letter
+    static chunkList(list) {
+        const chunks = [];
+        let current = [];
+        let size = 2;
+
+        list.forEach(entry => {
+            const entrySize = this.getByteSize(entry) + 1;
+            if (current.length && size + entrySize > CHUNK_BYTES) {
+                chunks.push(current);
+                current = [];
+                size = 2;
+            }
+            current.push(entry);
+            size += entrySize;
+        });
+
+        if (current.length) chunks.push(current);
+        return chunks;
+    }
+
+    static getChunkKeys(name, count) {
+        return Array.from({ length: count }, (value, index) => `xcom_${name}_${index}`);
+    }
+
+    static getByteSize(value) {
+        return new TextEncoder().encode(JSON.stringify(value)).length;
+    }
+
+    // Bytes used by the extension in each storage area, for the options page
+    static async getUsage() {
+        const [backend, syncBytes, localBytes] = await Promise.all([
+            this.getBackend(),
+            chrome.storage.sync.getBytesInUse(null),
+            chrome.storage.local.getBytesInUse(null)
+        ]);
+        return {
+            backend,
+            sync: { used: syncBytes, quota: chrome.storage.sync.QUOTA_BYTES },
+            local: { used: localBytes, quota: chrome.storage.local.QUOTA_BYTES }
+        };
+    }
+
+    // Runs once per context; every step is safe to repeat if two contexts migrate at the same time
+    static migrate() {
+        if (!this.migration) {
+            this.migration = this.runMigrations().catch(error => {
+                this.migration = null;
+                throw error;
+            });
+        }
+        return this.migration;
+    }
+
+    static async runMigrations() {
+        const { xcom_schema_version: version = 1 } = await chrome.storage.sync.get('xcom_schema_version');
+        if (version >= SCHEMA_VERSION) return;
+
+        // Before v3 everything was in single sync keys; nothing there means a fresh install
+        // or another context already finished moving it
+        const legacy = await this.readLegacy();
+        if (legacy) {
+            const data = SCHEMA_MIGRATIONS
+                .filter(step => step.version > version)
+                .reduce((current, step) => step.migrate(current), legacy);
+            await this.writeData(data);
+        }
+
+        await chrome.storage.sync.set({ 'xcom_schema_version': SCHEMA_VERSION });
+        if (legacy) {
+            await chrome.storage.sync.remove(LEGACY_KEYS);
+        }
+    }
+
+    static async readLegacy() {
+        const result = await chrome.storage.sync.get(LEGACY_KEYS);
+        if (!result.xcom_tags && !result.xcom_groups && !result.xcom_blocklist) return null;
+
+        return {
+            tags: result.xcom_tags || [],
+            groups: result.xcom_groups || [],
+            blocklist: result.xcom_blocklist || []
+        };
+    }
+
+    // Calls back whenever tags, groups, blocklist, settings or subscribed feeds change in any context
+    static onChanged(callback) {
+        const keys = ['xcom_settings', 'xcom_feeds', 'xcom_feed_tags', 'xcom_site_adapters'];
+        chrome.storage.onChanged.addListener((changes, areaName) => {
+            if ((areaName === 'sync' || areaName === 'local') && (this.changesLists(changes) || keys.some(key => key in changes))) {
+                callback(changes);
+            }
+        });
+    }
+
+    // Storage only reports values that actually changed: an edit that keeps the chunk counts leaves xcom_meta as it was
+    static changesLists(changes) {
+        return Object.keys(changes).some(key =>
+            key === 'xcom_meta' || key === 'xcom_storage_backend' || STORAGE_LISTS.some(name => key.startsWith(`xcom_${name}_`))
+        );
+    }
+
+    static async loadSettings() {
+        const result = await chrome.storage.sync.get(['xcom_settings']);
+        return { ...DEFAULT_SETTINGS, ...(result.xcom_settings || {}) };
+    }
+
+    static async saveSettings(settings) {
+        await chrome.storage.sync.set({ 'xcom_settings': settings });
+    }
+
+    // "www.x.com" and "x.com" are one site
+    static getSiteKey(hostname) {
+        return String(hostname || '').toLowerCase().replace(/^www\./, '');
+    }
+
+    static getSiteSettings(settings, hostname) {
+        return { ...DEFAULT_SITE_SETTINGS, ...(settings.sites || {})[this.getSiteKey(hostname)] };
+    }
+
+    static isSiteEnabled(settings, hostname) {
+        return this.getSiteSettings(settings, hostname).enabled;
+    }
+
+    // For pages other than options, which keep their own copy of the settings
+    static async updateSiteSettings(hostname, changes) {
+        const settings = await this.loadSettings();
+        const key = this.getSiteKey(hostname);
+        settings.sites = { ...settings.sites, [key]: { ...settings.sites[key], ...changes } };
+        await this.saveSettings(settings);
+    }
+
+    static isPaused(settings, now = Date.now()) {
+        return settings.pausedUntil > now;
+    }
+
+    // 0 minutes ends the pause
+    static async pauseFor(minutes) {
+        const settings = await this.loadSettings();
+        settings.pausedUntil = minutes > 0 ? Date.now() + minutes * 60 * 1000 : 0;
+        await this.saveSettings(settings);
+    }
+
+    // Quiet hours may wrap past midnight (e.g. 23:00 - 08:00)
+    static isQuietTime(quietHours, date = new Date()) {
+        if (!quietHours || !quietHours.enabled) return false;
+
+        const toMinutes = (value) => {
+            const [hours, minutes] = String(value).split(':').map(Number);
+            return hours * 60 + (minutes || 0);
+        };
+        const now = date.getHours() * 60 + date.getMinutes();
+        const start = toMinutes(quietHours.start);
+        const end = toMinutes(quietHours.end);
+
+        if (start === end) return false;
+        return start < end ? now >= start && now < end : now >= start || now < end;
+    }
+
+    // One CSV cell. Page text such as a coin named =HYPERLINK(...) must not run as a formula in a spreadsheet;
+    // a leading quote is guarded too, so TagsTransfer can tell its own guard from the value on import
+    static escapeCsv(value) {
+        let text = String(value ?? '');
+        if (/^[=+\-@\t\r']/.test(text)) text = `'${text}`;
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }
+
+    static generateGroupId() {
+        return 'g' + Date.now().toString(36) + Math.random().toString(36).slice(2, 6);
+    }
+}
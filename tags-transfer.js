@@ -0,0 +1,280 @@
+// Import/export of tag lists as JSON, CSV and plain text
+// Used by the options page; every imported entry goes through TagsStore.parseTagValue like manual input
+
+// Bump the major version when an older importer would misread the file
+const EXPORT_VERSION = '3.0';
+const CSV_COLUMNS = ['list', 'type', 'value', 'group', 'note', 'trust', 'links', 'addedBy', 'createdAt'];
+
+class TagsTransfer {
+    static toJson({ tags, groups, blocklist }) {
+        return JSON.stringify({
+            tags,
+            groups,
+            blocklist,
+            exportDate: new Date().toISOString(),
+            version: EXPORT_VERSION
+        }, null, 2);
+    }
+
+    // One row per tag or blocklist entry; groups are written by name so the file is easy to edit by hand
+    static toCsv({ tags, groups, blocklist }) {
+        const groupNames = new Map(groups.map(group => [group.id, group.name]));
+        const rows = [
+            ...tags.map(tag => ({
+                list: 'tags',
+                ...tag,
+                group: groupNames.get(tag.group) || '',
+                trust: tag.trust || '',
+                links: tag.links.join(' ')
+            })),
+            ...blocklist.map(entry => ({ list: 'blocklist', ...entry, note: entry.reason }))
+        ];
+
+        return [
+            CSV_COLUMNS.join(','),
+            ...rows.map(row => CSV_COLUMNS.map(column => TagsStore.escapeCsv(row[column])).join(','))
+        ].join('\n');
+    }
+
+    // One tag per line in a form detectTagType reads back: @handle, links, addresses, domains, patterns
+    static toText({ tags }) {
+        return tags.map(tag => {
+            if (tag.type === 'x') return `@${tag.value}`;
+            if (tag.type === 'community') return `https://x.com/i/communities/${tag.value}`;
+            if (tag.type === 'telegram') return `https://t.me/${tag.value}`;
+            if (tag.type === 'tiktok') return `https://www.tiktok.com/@${tag.value}`;
+            return tag.value;
+        }).join('\n');
+    }
+
+    // Returns { format, version, tags, blocklist, groups, hasBlocklist } with raw entries; throws with a user-facing message
+    static parse(text, filename) {
+        const extension = (filename.split('.').pop() || '').toLowerCase();
+        const trimmed = text.replace(/^\uFEFF/, '').trim();
+
+        if (extension === 'json' || /^[[{]/.test(trimmed)) {
+            return this.parseJson(trimmed);
+        }
+        if (extension === 'csv' || trimmed.split('\n')[0].replace(/\s/g, '').startsWith('list,type,value')) {
+            return this.parseCsv(trimmed);
+        }
+        return this.parseText(trimmed);
+    }
+
+    static parseJson(text) {
+        let data;
+        try {
+            data = JSON.parse(text);
+        } catch (error) {
+            throw new Error('Файл не является корректным JSON');
+        }
+
+        // 1.x exported a bare array of usernames
+        if (Array.isArray(data)) {
+            data = { tags: data, version: '1.0' };
+        }
+        if (!data || typeof data !== 'object') {
+            throw new Error('Файл не содержит тегов');
+        }
+
+        const version = String(data.version || '1.0');
+        const major = parseInt(version, 10);
+        if (!Number.isInteger(major) || major > parseInt(EXPORT_VERSION, 10)) {
+            throw new Error(`Файл создан более новой версией расширения (${version}) - обновите расширение`);
+        }
+        if (data.tags !== undefined && !Array.isArray(data.tags)) {
+            throw new Error('Поле tags в файле должно быть списком');
+        }
+
+        return {
+            format: 'json',
+            version,
+            tags: data.tags || [],
+            blocklist: Array.isArray(data.blocklist) ? data.blocklist : [],
+            hasBlocklist: Array.isArray(data.blocklist),
+            groups: Array.isArray(data.groups) ? TagsStore.normalizeGroups(data.groups) : []
+        };
+    }
+
+    static parseCsv(text) {
+        const [header, ...rows] = this.parseCsvRows(text);
+        const columns = header.map(column => column.trim());
+        if (!columns.includes('value')) {
+            throw new Error('В CSV нет колонки value');
+        }
+
+        const entries = rows
+            .filter(row => row.some(cell => cell.trim()))
+            .map(row => Object.fromEntries(columns.map((column, index) => [column, this.readCsvCell(row[index])])));
+        const toEntry = (row) => ({
+            ...row,
+            type: row.type || TagsStore.detectTagType(row.value),
+            reason: row.note,
+            links: row.links ? row.links.split(/\s+/) : [],
+            createdAt: row.createdAt || null,
+            groupName: row.group
+        });
+
+        return {
+            format: 'csv',
+            version: EXPORT_VERSION,
+            tags: entries.filter(row => row.list !== 'blocklist').map(toEntry),
+            blocklist: entries.filter(row => row.list === 'blocklist').map(toEntry),
+            hasBlocklist: entries.some(row => row.list === 'blocklist'),
+            groups: []
+        };
+    }
+
+    // Drops the quote TagsStore.escapeCsv puts before formula-like values
+    static readCsvCell(cell) {
+        const text = (cell || '').trim();
+        return /^'[=+\-@\t\r']/.test(text) ? text.slice(1) : text;
+    }
+
+    // RFC 4180: quoted cells may contain commas, doubled quotes and line breaks
+    static parseCsvRows(text) {
+        const rows = [];
+        let row = [];
+        let cell = '';
+        let quoted = false;
+
+        for (let i = 0; i < text.length; i++) {
+            const char = text[i];
+            if (quoted) {
+                if (char === '"' && text[i + 1] === '"') {
+                    cell += '"';
+                    i++;
+                } else if (char === '"') {
+                    quoted = false;
+                } else {
+                    cell += char;
+                }
+            } else if (char === '"') {
+                quoted = true;
+            } else if (char === ',') {
+                row.push(cell);
+                cell = '';
+            } else if (char === '\n' || char === '\r') {
+                if (char === '\r' && text[i + 1] === '\n') i++;
+                row.push(cell);
+                rows.push(row);
+                row = [];
+                cell = '';
+            } else {
+                cell += char;
+            }
+        }
+        row.push(cell);
+        rows.push(row);
+        return rows;
+    }
+
+    // Lines starting with # are comments
+    static parseText(text) {
+        const lines = text.split(/\r?\n/).map(line => line.trim()).filter(line => line && !line.startsWith('#'));
+        return {
+            format: 'text',
+            version: EXPORT_VERSION,
+            tags: lines,
+            blocklist: [],
+            hasBlocklist: false,
+            groups: []
+        };
+    }
+
+    // Sorts entries into new, duplicate and invalid against the current lists.
+    // In replace mode the current lists don't count, only repeats inside the file do
+    static review(parsed, current, mode) {
+        const groups = [...current.groups];
+        const newGroups = [];
+
+        parsed.groups.forEach(group => {
+            if (!groups.some(g => g.id === group.id)) {
+                groups.push(group);
+                newGroups.push(group);
+            }
+        });
+
+        // CSV names its groups; unknown names become new groups
+        const resolveGroup = (entry) => {
+            if (groups.some(group => group.id === entry.group)) return entry.group;
+            if (!entry.groupName) return current.defaultGroup;
+
+            let group = groups.find(g => g.name.toLowerCase() === entry.groupName.toLowerCase());
+            if (!group) {
+                group = { ...TagsStore.getDefaultGroups()[0], id: TagsStore.generateGroupId(), name: entry.groupName };
+                groups.push(group);
+                newGroups.push(group);
+            }
+            return group.id;
+        };
+
+        const tags = this.reviewList(parsed.tags, mode === 'merge' ? current.tags : [], (entry, identity) =>
+            TagsStore.normalizeTags([{ ...this.asObject(entry), ...identity, group: resolveGroup(this.asObject(entry)) }], groups)[0]
+        );
+        const blocklist = this.reviewList(parsed.blocklist, mode === 'merge' ? current.blocklist : [], (entry, identity) =>
+            TagsStore.normalizeBlocklist([{ ...this.asObject(entry), ...identity }])[0]
+        );
+
+        // Groups only referenced by skipped entries aren't worth creating
+        const usedGroups = new Set(tags.new.map(tag => tag.group));
+        return { tags, blocklist, groups: newGroups.filter(group => usedGroups.has(group.id) || parsed.groups.includes(group)) };
+    }
+
+    static reviewList(entries, existing, build) {
+        const seen = new Set(existing.map(entry => TagsStore.tagKey(entry)));
+        const result = { new: [], duplicate: [], invalid: [] };
+
+        entries.forEach(entry => {
+            const identity = this.readEntry(entry);
+            if (identity.error) {
+                result.invalid.push({ source: this.describe(entry), error: identity.error });
+                return;
+            }
+
+            const key = TagsStore.tagKey(identity);
+            if (seen.has(key)) {
+                result.duplicate.push(identity);
+                return;
+            }
+            seen.add(key);
+            result.new.push(build(entry, identity));
+        });
+        return result;
+    }
+
+    // Strict validation of one imported entry, same rules as the add form
+    static readEntry(entry) {
+        let type;
+        let value;
+
+        if (typeof entry === 'string') {
+            type = TagsStore.detectTagType(entry);
+            value = TagsStore.stripTypePrefix(entry);
+        } else if (entry && typeof entry === 'object') {
+            value = entry.value !== undefined ? entry.value : entry.username;
+            type = TAG_TYPES[entry.type] ? entry.type : entry.username !== undefined ? 'x' : TagsStore.detectTagType(value);
+            if (entry.type && !TAG_TYPES[entry.type]) {
+                return { error: `Неизвестный тип «${entry.type}»` };
+            }
+        } else {
+            return { error: 'Запись не является тегом' };
+        }
+
+        if (typeof value !== 'string') {
+            return { error: 'Значение должно быть строкой' };
+        }
+
+        const parsed = TagsStore.parseTagValue(type, value);
+        return parsed.error ? { error: parsed.error } : { type, value: parsed.value };
+    }
+
+    static asObject(entry) {
+        return typeof entry === 'string' ? {} : entry;
+    }
+
+    static describe(entry) {
+        const text = typeof entry === 'string' ? entry : JSON.stringify(entry);
+        return text.length > 60 ? `${text.slice(0, 60)}…` : text;
+    }
+}
@@ -0,0 +1,44 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createBackground, settle, toPlain } = require('./helpers/page');
+
+test('a tab with matches shows its count in the color of the display mode', async () => {
+    const background = await createBackground();
+    const { chrome } = background.window;
+    const DisplayModes = background.get('DisplayModes');
+    const modeColor = (id) => DisplayModes.find(id).color;
+
+    await DisplayModes.save('tagged');
+    await settle(background.window);
+    await chrome.runtime.dispatchMessage({ action: 'pageMatches', count: 3 }, { tab: { id: 7 } });
+    await settle(background.window);
+
+    assert.deepStrictEqual(toPlain(background.badges[7]), {
+        color: modeColor('tagged'),
+        text: '3',
+        title: 'X.com Tags Manager · Только с тегами · совпадений на странице: 3'
+    });
+    assert.strictEqual(background.badges.global.text, 'ТЕГ');
+
+    // The shortcut switches the mode while the tab keeps its count
+    await DisplayModes.save('pin');
+    await settle(background.window);
+    assert.strictEqual(background.badges[7].text, '3');
+    assert.strictEqual(background.badges[7].color, modeColor('pin'));
+    assert.match(background.badges[7].title, /Отмеченные наверху/);
+    assert.strictEqual(background.badges.global.color, modeColor('pin'));
+    background.window.close();
+});
+
+test('a closed tab is forgotten', async () => {
+    const background = await createBackground();
+    const { chrome } = background.window;
+    await chrome.runtime.dispatchMessage({ action: 'pageMatches', count: 2 }, { tab: { id: 7 } });
+    await settle(background.window);
+
+    background.removeTab(7);
+    await settle(background.window);
+    const { xcom_tab_matches: counts } = await chrome.storage.session.get('xcom_tab_matches');
+    assert.deepStrictEqual(toPlain(counts), {});
+    background.window.close();
+});
@@ -0,0 +1,42 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createHighlighterPage, readFixture, settle } = require('./helpers/page');
+
+const TELEGRAM_CARD = `
+    <div class="flex flex-row w-full h-[116px] border-b" id="card-cat">
+        <div class="flex flex-col flex-1 h-full gap-[20px] justify-start items-start" id="card-body-cat">
+            <span class="text-textPrimary text-[16px] font-medium truncate">CAT</span>
+            <a href="https://t.me/catcoin">TG</a>
+        </div>
+    </div>
+    <div class="flex flex-row w-full h-[116px] border-b" id="card-bare">
+        <div class="flex flex-col flex-1 h-full gap-[20px] justify-start items-start" id="card-body-bare">
+            <span class="text-textPrimary text-[16px] font-medium truncate">BARE</span>
+        </div>
+    </div>
+`;
+
+async function createColumn(tags) {
+    const html = readFixture('pulse-column.html').replace('<div class="flex flex-col overflow-y-auto">', `$&${TELEGRAM_CARD}`);
+    const page = await createHighlighterPage({ html, tags });
+    const filtered = () => [...page.document.querySelectorAll('[data-xcom-filtered]')].map(card => card.id).sort();
+    return { page, filtered };
+}
+
+test('"tagged" mode hides every untagged card, not only those with an X.com link', async () => {
+    const { page, filtered } = await createColumn([{ type: 'x', value: 'pepe_two', group: 'default', note: '', links: [] }]);
+    page.highlighter.setDisplayMode('tagged');
+    await settle(page.window);
+
+    assert.deepStrictEqual(filtered(), ['card-body-bare', 'card-body-cat', 'card-body-dog']);
+    page.window.close();
+});
+
+test('"tagged" mode keeps cards tagged by a Telegram link', async () => {
+    const { page, filtered } = await createColumn([{ type: 'telegram', value: 'catcoin', group: 'default', note: '', links: [] }]);
+    page.highlighter.setDisplayMode('tagged');
+    await settle(page.window);
+
+    assert.deepStrictEqual(filtered(), ['card-body-bare', 'card-body-dog', 'card-body-pepe']);
+    page.window.close();
+});
@@ -0,0 +1,76 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createPage, toPlain } = require('./helpers/page');
+
+const { get } = createPage(['x-url-parser.js', 'tag-matcher.js', 'tags-store.js', 'feed-store.js']);
+const FeedSubscriptions = get('FeedSubscriptions');
+
+const values = (entries) => toPlain(entries).map(entry => `${entry.type}:${entry.value}`);
+
+test('FeedSubscriptions.parseFeed validates every entry', () => {
+    const parsed = FeedSubscriptions.parseFeed({
+        name: 'Team',
+        tags: [
+            { type: 'x', value: 'https://x.com/Alice' },
+            { type: 'x', value: 'far_too_long_for_a_handle' },
+            { type: 'pattern', value: '/(a+)+$/' },
+            { type: 'pattern', value: 'dev_*' },
+            { type: 'address', value: 'nope' },
+            { type: 'telegram', value: 't.me/s/team_chat' },
+            { type: 'x', value: 'alice' }
+        ],
+        blocklist: [
+            { type: 'x', value: 'scammer', reason: 'rug' },
+            { type: 'pattern', value: '/(x|x)*y/' },
+            { type: 'domain', value: 'not a domain' }
+        ]
+    });
+
+    assert.deepStrictEqual(values(parsed.tags), ['x:alice', 'telegram:team_chat']);
+    assert.deepStrictEqual(values(parsed.blocklist), ['x:scammer']);
+    assert.strictEqual(parsed.skipped, 6); // The second alice is a duplicate, not an error
+});
+
+test('FeedSubscriptions.merge ignores pattern tags fetched before validation', () => {
+    const groups = get('TagsStore').getDefaultGroups();
+    const feed = { id: 'f1', url: 'https://example.com/tags.json', group: groups[0].id, enabled: true };
+    const merged = FeedSubscriptions.merge(
+        { tags: [], groups, blocklist: [] },
+        [feed],
+        {},
+        { f1: { tags: [{ type: 'pattern', value: '/(a+)+$/' }, { type: 'x', value: 'bob' }], blocklist: [{ type: 'pattern', value: 'a*' }] } }
+    );
+
+    assert.deepStrictEqual(values(merged.tags), ['x:bob']);
+    assert.deepStrictEqual(merged.blocklist.length, 0);
+});
+
+test('a failed sync keeps the time of the last successful one', async () => {
+    const page = createPage(['x-url-parser.js', 'tag-matcher.js', 'tags-store.js', 'feed-store.js']);
+    const Feeds = page.get('FeedSubscriptions');
+    const feed = { id: 'f1', url: 'https://example.com/tags.json', group: 'default', enabled: true };
+    const earlier = '2024-01-01T00:00:00.000Z';
+    await page.window.chrome.storage.local.set({ xcom_feed_state: { f1: { lastSynced: earlier, etag: '"v1"' } } });
+    page.window.console.error = () => {};
+
+    const syncWith = (response) => {
+        Feeds.fetchFeed = async () => {
+            if (response instanceof Error) throw response;
+            return response;
+        };
+        return Feeds.sync(feed).then(result => result.state);
+    };
+
+    let state = await syncWith(new Error('Failed to fetch'));
+    assert.strictEqual(state.lastSynced, earlier);
+    assert.strictEqual(state.lastError, 'Failed to fetch');
+
+    state = await syncWith({ ok: false, status: 500, body: '' });
+    assert.strictEqual(state.lastSynced, earlier);
+    assert.strictEqual(state.lastError, 'HTTP 500');
+
+    state = await syncWith({ ok: false, status: 304, body: '' });
+    assert.notStrictEqual(state.lastSynced, earlier);
+    assert.strictEqual(state.lastError, '');
+    page.window.close();
+});
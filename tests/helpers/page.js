@@ -0,0 +1,201 @@
+// Loads extension scripts into a jsdom window the way the manifest does: plain scripts sharing one global scope.
+// chrome.* is an in-memory stand-in, enough for the storage and messaging the scripts touch
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const { JSDOM } = require('jsdom');
+
+const ROOT = path.join(__dirname, '..', '..');
+
+// Writes are reported to chrome.storage.onChanged listeners like in the browser, after the write resolves
+// and only for values that actually changed
+function createStorageArea(areaName, listeners) {
+    const data = {};
+    const notify = (changes) => {
+        if (Object.keys(changes).length) setTimeout(() => listeners.forEach(listener => listener(changes, areaName)), 0);
+    };
+    return {
+        data,
+        async get(keys) {
+            const list = keys === null || keys === undefined ? Object.keys(data) : [].concat(keys);
+            return Object.fromEntries(list.filter(key => key in data).map(key => [key, structuredClone(data[key])]));
+        },
+        async set(items) {
+            const changes = {};
+            Object.entries(structuredClone(items)).forEach(([key, value]) => {
+                if (JSON.stringify(value) !== JSON.stringify(data[key])) {
+                    changes[key] = { oldValue: data[key], newValue: structuredClone(value) };
+                }
+                data[key] = value;
+            });
+            notify(changes);
+        },
+        async getBytesInUse() {
+            return new TextEncoder().encode(JSON.stringify(data)).length;
+        },
+        async remove(keys) {
+            const changes = {};
+            [].concat(keys).filter(key => key in data).forEach(key => {
+                changes[key] = { oldValue: data[key] };
+                delete data[key];
+            });
+            notify(changes);
+        }
+    };
+}
+
+function createChrome() {
+    const manifest = JSON.parse(fs.readFileSync(path.join(ROOT, 'manifest.json'), 'utf8'));
+    const listeners = [];
+    const messageListeners = [];
+    return {
+        storage: {
+            sync: createStorageArea('sync', listeners),
+            local: createStorageArea('local', listeners),
+            onChanged: { addListener: (listener) => listeners.push(listener) }
+        },
+        runtime: {
+            getManifest: () => manifest,
+            getURL: (file) => `chrome-extension://test/${file}`,
+            sendMessage: async () => ({}),
+            onMessage: { addListener: (listener) => messageListeners.push(listener) },
+            // What chrome.tabs.sendMessage from another page delivers here; resolves with the first response
+            dispatchMessage: (request, sender = {}) => new Promise(resolve => {
+                messageListeners.forEach(listener => listener(request, sender, resolve));
+            })
+        }
+    };
+}
+
+// `scripts` are file names relative to the repo root, loaded in the given order.
+// Returns the window and `get(name)` for the script-level classes and constants
+function createPage(scripts, { html = '', url = 'https://axiom.trade/pulse' } = {}) {
+    const dom = new JSDOM(`<!DOCTYPE html><html><head></head><body>${html}</body></html>`, {
+        url,
+        runScripts: 'outside-only',
+        pretendToBeVisual: true
+    });
+    const { window } = dom;
+    window.chrome = createChrome();
+    // jsdom has no idle callbacks; an idle period that never runs out processes the whole queue at once
+    window.requestIdleCallback = (callback) => window.setTimeout(() => callback({ timeRemaining: () => 50, didTimeout: false }), 0);
+    window.cancelIdleCallback = (handle) => window.clearTimeout(handle);
+    window.structuredClone ??= structuredClone;
+    window.TextEncoder ??= TextEncoder;
+    // vm scripts, not eval: top-level classes and constants must be visible to the scripts loaded after them
+    const context = dom.getInternalVMContext();
+    const run = (source, filename) => new vm.Script(source, { filename }).runInContext(context);
+    const load = (files) => files.forEach(file => run(fs.readFileSync(path.join(ROOT, file), 'utf8'), file));
+    load(scripts);
+    return { window, document: window.document, load, get: (name) => run(name, 'get') };
+}
+
+const CONTENT_SCRIPTS = JSON.parse(fs.readFileSync(path.join(ROOT, 'manifest.json'), 'utf8')).content_scripts[0].js;
+
+// A page with the content scripts loaded and the given lists in the highlighter; the page is processed again
+// with them, so the result is what a user with these lists would see
+async function createHighlighterPage({ html = '', url, tags = [], blocklist = [], groups, settings = {} } = {}) {
+    // Content scripts run at document_idle, once the document has loaded
+    const page = createPage([], { html, url });
+    await settle(page.window);
+    page.load(CONTENT_SCRIPTS);
+    await settle(page.window); // init: storage, theme, panel
+    const highlighter = page.get('highlighter');
+
+    highlighter.tags = tags;
+    highlighter.blocklist = blocklist;
+    highlighter.groups = groups || page.get('TagsStore').getDefaultGroups();
+    highlighter.settings = { ...page.get('DEFAULT_SETTINGS'), ...settings };
+    highlighter.buildTagIndex();
+    highlighter.reprocessPage();
+    await settle(page.window);
+    return { ...page, highlighter };
+}
+
+// An extension page as its HTML file lays it out, with its scripts, after init has loaded everything from storage.
+// `chrome` replaces parts of the stand-in, e.g. the storage of a content page to share it
+async function createExtensionPage(file, { chrome = {} } = {}) {
+    const source = fs.readFileSync(path.join(ROOT, file), 'utf8');
+    const body = source.match(/<body>([\s\S]*)<\/body>/)[1];
+    const scripts = [...body.matchAll(/<script src="([^"]+)"><\/script>/g)].map(match => match[1]);
+    const page = createPage([], { html: body.replace(/<script[^>]*><\/script>/g, ''), url: `chrome-extension://test/${file}` });
+    Object.assign(page.window.chrome, {
+        permissions: { request: async () => true },
+        extension: { isAllowedFileSchemeAccess: async () => true },
+        ...chrome
+    });
+    // Nothing scrolls in jsdom; the lazy tag list simply never asks for more
+    page.window.IntersectionObserver = class { observe() {} unobserve() {} disconnect() {} };
+    page.load(scripts);
+    await settle(page.window, 100);
+    return page;
+}
+
+async function createOptionsPage() {
+    const page = await createExtensionPage('options.html');
+    return { ...page, options: page.get('tagsManagerPage') };
+}
+
+// The action popup looking at `tab`, a page from createHighlighterPage
+async function createPopup(tab) {
+    return createExtensionPage('popup.html', {
+        chrome: {
+            storage: tab.window.chrome.storage,
+            tabs: {
+                query: async () => [{ id: 1 }],
+                sendMessage: (tabId, request) => tab.window.chrome.runtime.dispatchMessage(request),
+                create() {}
+            }
+        }
+    });
+}
+
+// The service worker with its imported scripts. `badges` holds what chrome.action shows: under `global`
+// and under each tab id that has its own values
+async function createBackground() {
+    const page = createPage([], { url: 'chrome-extension://test/background.js' });
+    const { chrome } = page.window;
+    const event = () => ({ addListener() {} });
+    const badges = { global: {} };
+    const setBadge = (property) => async ({ tabId, ...details }) => {
+        const key = tabId === undefined ? 'global' : tabId;
+        badges[key] = { ...badges[key], [property]: Object.values(details)[0] };
+    };
+    const tabListeners = [];
+    Object.assign(chrome, {
+        action: {
+            setBadgeText: setBadge('text'),
+            setBadgeBackgroundColor: setBadge('color'),
+            setTitle: setBadge('title')
+        },
+        alarms: { get: async () => null, create: async () => {}, onAlarm: event() },
+        commands: { onCommand: event() },
+        contextMenus: { create() {}, removeAll() {}, onClicked: event() },
+        notifications: { onClicked: event(), onButtonClicked: event(), onClosed: event() },
+        permissions: { onAdded: event(), onRemoved: event() },
+        tabs: { query: async () => [], onRemoved: { addListener: (listener) => tabListeners.push(listener) } }
+    });
+    chrome.runtime.onInstalled = event();
+    chrome.storage.session = createStorageArea('session', []);
+    page.window.importScripts = (...files) => page.load(files);
+    page.load(['background.js']);
+    await settle(page.window);
+    return { ...page, badges, removeTab: (tabId) => tabListeners.forEach(listener => listener(tabId)) };
+}
+
+// Lets queued page changes get processed
+function settle(window, ms = 20) {
+    return new Promise(resolve => window.setTimeout(resolve, ms));
+}
+
+function readFixture(name) {
+    return fs.readFileSync(path.join(__dirname, '..', 'fixtures', name), 'utf8');
+}
+
+// Objects made inside the window have its prototypes; deepStrictEqual wants plain ones
+function toPlain(value) {
+    return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+}
+
+module.exports = { createPage, createHighlighterPage, createOptionsPage, createPopup, createBackground, settle, readFixture, toPlain };
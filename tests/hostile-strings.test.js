@@ -0,0 +1,110 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createHighlighterPage, createOptionsPage, settle } = require('./helpers/page');
+
+// Strings a shared feed, an import file or a page could carry; none of them may turn into markup
+const HOSTILE = [
+    '<img src=x onerror="window.pwned=1">',
+    '"><svg onload="window.pwned=1">',
+    '\' onmouseover=\'window.pwned=1',
+    '</td></tr><tr><td><img src=x onerror="window.pwned=1">',
+    '<script>window.pwned=1</script>',
+    '${window.pwned=1}',
+    '&lt;b&gt;escaped&lt;/b&gt;',
+    'javascript:window.pwned=1',
+    '‮evil‬'
+];
+
+// Anything the strings above could have produced
+function findInjected(root) {
+    const elements = [...root.querySelectorAll('img, script, iframe, svg[onload], [onerror], [onload], [onmouseover]')];
+    return elements.map(element => element.outerHTML);
+}
+
+test('hostile notes, groups and page text stay text in highlighted mentions', async () => {
+    const page = await createHighlighterPage({ url: 'https://x.com/home' });
+    const paragraph = page.document.createElement('p');
+    paragraph.textContent = HOSTILE.map(text => `${text} @alice`).join(' ');
+    page.document.body.append(paragraph);
+    const original = paragraph.textContent;
+
+    const groups = HOSTILE.map((text, index) => ({ id: `g${index}`, name: text, color: '#28a745', badge: text, alerts: true }));
+    const tags = [{ type: 'x', value: 'alice', group: 'g0', note: HOSTILE.join(' '), links: HOSTILE, addedBy: HOSTILE[1] }];
+    Object.assign(page.highlighter, { tags, groups, blocklist: [{ type: 'x', value: 'bob', reason: HOSTILE[3] }] });
+    page.highlighter.buildTagIndex();
+    page.highlighter.reprocessPage();
+    await settle(page.window);
+
+    assert.strictEqual(paragraph.querySelectorAll('.xcom-highlighted-tag').length, HOSTILE.length);
+    assert.strictEqual(paragraph.textContent, original);
+    assert.deepStrictEqual(findInjected(page.document), []);
+    assert.strictEqual(page.window.pwned, undefined);
+    page.window.close();
+});
+
+test('hostile strings stay text on the options page', async () => {
+    const page = await createOptionsPage();
+    const { options, document } = page;
+    const SightingsHistory = page.get('SightingsHistory');
+    const TagsTransfer = page.get('TagsTransfer');
+    const now = new Date().toISOString();
+
+    options.groups = HOSTILE.map((text, index) => ({ id: `g${index}${text}`, name: text, color: '#28a745', badge: text, alerts: true }));
+    options.tags = HOSTILE.map((text, index) => ({
+        type: 'x', value: `user${index}`, group: options.groups[index].id, note: text, createdAt: now, addedBy: text, links: [text], trust: null, protect: false
+    }));
+    options.blocklist = [{ type: 'x', value: 'scammer', reason: HOSTILE[0], createdAt: now, addedBy: HOSTILE[2] }];
+    options.history = HOSTILE.map((text, index) => ({
+        id: `s${index}`, tagType: 'x', username: `user${index}`, group: '', blocked: index % 2 === 0,
+        coinName: text, coinLink: text, contract: text, pageUrl: text, timestamp: now, lastSeen: now
+    }));
+    options.historyStats = SightingsHistory.computeStats(options.history);
+    options.journal = HOSTILE.map((text, index) => ({
+        id: text, timestamp: now, summary: text, counts: { tags: index, blocklist: 0, groups: 1 }, snapshot: { tags: [], groups: [], blocklist: [] }
+    }));
+    options.feeds = HOSTILE.map((text, index) => ({ id: `f${index}${text}`, url: `https://example.com/list.json#${text}`, name: text, group: options.groups[0].id, enabled: true }));
+    options.feedState = Object.fromEntries(options.feeds.map((feed, index) => [feed.id, index % 2
+        ? { lastError: HOSTILE[index] }
+        : { title: HOSTILE[index], lastSynced: now, count: 1 }]));
+    options.adapters = HOSTILE.map((text, index) => ({
+        id: `a${index}${text}`, name: text, matches: [text], cardSelector: text, nameSelector: text, linkSelector: text, enabled: true
+    }));
+
+    options.renderGroups();
+    options.renderTags();
+    options.renderBlocklist();
+    options.renderHistory();
+    options.renderAdapters();
+    options.renderJournal();
+    options.updateStats();
+
+    const file = JSON.stringify({
+        version: '2.0',
+        tags: [...HOSTILE.map(text => ({ type: 'x', value: text })), { type: 'x', value: 'carol' }],
+        blocklist: HOSTILE.map(text => ({ type: 'telegram', value: text }))
+    });
+    options.pendingImport = { parsed: TagsTransfer.parse(file, `${HOSTILE[0]}.json`), filename: HOSTILE[0] };
+    options.renderImportPreview();
+
+    assert.deepStrictEqual(findInjected(document.body), []);
+    assert.strictEqual(page.window.pwned, undefined);
+
+    // The strings are shown as they are, not lost or half-parsed
+    const names = [...document.querySelectorAll('#groupsContainer .group-name')].map(input => input.value);
+    assert.deepStrictEqual(names, HOSTILE);
+    const journal = [...document.querySelectorAll('#journalContainer tbody tr')].map(row => row.cells[1].textContent);
+    assert.deepStrictEqual(journal, HOSTILE);
+    const coins = [...document.querySelectorAll('#historyContainer tbody tr')].map(row => row.cells[2].textContent);
+    assert.deepStrictEqual(coins.sort(), [...HOSTILE].sort());
+    // Coin links that aren't http(s) stay plain text
+    assert.strictEqual(document.querySelectorAll('#historyContainer a').length, 0);
+    const feedNames = [...document.querySelectorAll('#feedsContainer .feed-name')].map(span => span.textContent);
+    assert.deepStrictEqual(feedNames.filter((name, index) => index % 2 === 0), HOSTILE.filter((text, index) => index % 2 === 0).map(text => `📡 ${text}`));
+    const feedErrors = [...document.querySelectorAll('#feedsContainer .feed-status.error')].map(span => span.textContent);
+    assert.deepStrictEqual(feedErrors, HOSTILE.filter((text, index) => index % 2).map(text => `Ошибка: ${text}`));
+    const invalid = [...document.querySelectorAll('#importPreview details.invalid code')].map(code => code.textContent);
+    assert.strictEqual(invalid.length, HOSTILE.length * 2);
+    assert.ok(invalid.some(source => source.includes(HOSTILE[4])));
+
+    page.window.close();
+});
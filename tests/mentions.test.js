@@ -0,0 +1,31 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createHighlighterPage } = require('./helpers/page');
+
+const TEXT = '<p id="text">gm @alice, @bob, @dev_pump and @a1ice</p>';
+
+async function highlightedHandles(lists) {
+    const page = await createHighlighterPage({ html: TEXT, url: 'https://x.com/home', ...lists });
+    const handles = [...page.document.querySelectorAll('#text .xcom-highlighted-tag')].map(tag => tag.textContent);
+    page.window.close();
+    return handles;
+}
+
+test('mentions are highlighted without any own tags', async (t) => {
+    await t.test('blocklist entries', async () => {
+        assert.deepStrictEqual(await highlightedHandles({ blocklist: [{ type: 'x', value: 'bob', reason: 'scam' }] }), ['@bob']);
+    });
+
+    await t.test('pattern tags', async () => {
+        assert.deepStrictEqual(await highlightedHandles({ blocklist: [{ type: 'pattern', value: 'dev_*', reason: '' }] }), ['@dev_pump']);
+    });
+
+    await t.test('nothing tagged leaves the text alone', async () => {
+        assert.deepStrictEqual(await highlightedHandles({}), []);
+    });
+});
+
+test('look-alikes of a protected handle are highlighted', async () => {
+    const handles = await highlightedHandles({ tags: [{ type: 'x', value: 'alice', group: 'default', protect: true }] });
+    assert.deepStrictEqual(handles, ['@alice', '@a1ice']);
+});
@@ -0,0 +1,66 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createOptionsPage, createPage, settle } = require('./helpers/page');
+
+// A second context on the same storage, like the in-page panel adding a tag while the options page is open
+function createPanelContext(page) {
+    const panel = createPage([]);
+    panel.window.chrome = page.window.chrome;
+    panel.load(['x-url-parser.js', 'tag-matcher.js', 'tags-store.js']);
+    return panel;
+}
+
+async function saveFrom(context, lists) {
+    await context.get('TagsStore').save(lists);
+    await settle(context.window, 50); // The change event arrives after the write
+}
+
+test('tags saved elsewhere survive the next save from the options page', async () => {
+    const page = await createOptionsPage();
+    const TagsStore = page.get('TagsStore');
+    const groups = TagsStore.getDefaultGroups();
+    const panel = createPanelContext(page);
+
+    await saveFrom(panel, { tags: [TagsStore.createTag({ type: 'x', value: 'bob' }, groups[0].id)], groups, blocklist: [] });
+    await settle(page.window, 400); // The page waits for the burst of change events to end
+
+    assert.deepStrictEqual([...page.options.tags].map(tag => tag.value), ['bob']);
+    assert.match(page.document.getElementById('tagsContainer').textContent, /bob/);
+
+    page.document.getElementById('tagInput').value = 'alice';
+    page.options.addTag();
+    await settle(page.window, 400); // Save debounce
+
+    const saved = await TagsStore.load();
+    assert.deepStrictEqual([...saved.tags].map(tag => tag.value).sort(), ['alice', 'bob']);
+
+    panel.window.close();
+    page.window.close();
+});
+
+test('an edit elsewhere that only rewrites a chunk is picked up', async () => {
+    const page = await createOptionsPage();
+    const TagsStore = page.get('TagsStore');
+    const groups = TagsStore.getDefaultGroups();
+    const panel = createPanelContext(page);
+    const createTag = (value) => TagsStore.createTag({ type: 'x', value }, groups[0].id);
+
+    await saveFrom(panel, { tags: [createTag('bob')], groups, blocklist: [] });
+    await settle(page.window, 400);
+    await saveFrom(panel, { tags: [createTag('carol')], groups, blocklist: [] });
+    await settle(page.window, 400);
+
+    assert.deepStrictEqual([...page.options.tags].map(tag => tag.value), ['carol']);
+    panel.window.close();
+    page.window.close();
+});
+
+test('the page\'s own saves keep the undo history', async () => {
+    const page = await createOptionsPage();
+    page.document.getElementById('tagInput').value = 'alice';
+    page.options.addTag();
+    await settle(page.window, 800); // Save debounce, then the reload timer
+
+    assert.strictEqual(page.options.undoStack.length, 1);
+    page.window.close();
+});
@@ -0,0 +1,48 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createHighlighterPage, readFixture, settle } = require('./helpers/page');
+
+const TAGS = [{ type: 'x', value: 'pepe_two', group: 'default', note: '', links: [] }];
+
+// Only custom properties and the position the user dragged the panel to are set inline
+function inlineStyles(root) {
+    return [...root.querySelectorAll('.xcom-panel, .xcom-panel *, .xcom-tag-toggle')]
+        .flatMap(element => Array.from({ length: element.style.length }, (_, index) => element.style.item(index)))
+        .filter(property => !property.startsWith('--') && !['left', 'top', 'right', 'bottom'].includes(property));
+}
+
+test('the panel and tag buttons are styled by the theme stylesheet', async () => {
+    const page = await createHighlighterPage({ html: readFixture('pulse-column.html'), tags: TAGS });
+    const { document } = page;
+
+    assert.ok(document.querySelector('.xcom-panel'));
+    assert.ok(document.querySelector('.xcom-tag-toggle[data-xcom-tagged]'));
+    assert.deepStrictEqual(inlineStyles(document), []);
+    page.window.close();
+});
+
+test('the theme stylesheet is removed while the site is off or paused', async () => {
+    const page = await createHighlighterPage({ html: readFixture('pulse-column.html'), tags: TAGS });
+    const TagsStore = page.get('TagsStore');
+    const stylesheet = () => page.document.getElementById('xcom-theme');
+    assert.ok(stylesheet());
+
+    await TagsStore.updateSiteSettings('axiom.trade', { enabled: false });
+    await settle(page.window, 300);
+    assert.strictEqual(stylesheet(), null);
+    assert.strictEqual(page.document.querySelector('.xcom-panel'), null);
+
+    await TagsStore.updateSiteSettings('axiom.trade', { enabled: true });
+    await settle(page.window, 300);
+    assert.ok(stylesheet());
+
+    await TagsStore.pauseFor(15);
+    await settle(page.window, 300);
+    assert.strictEqual(stylesheet(), null);
+
+    await TagsStore.pauseFor(0);
+    await settle(page.window, 300);
+    assert.ok(stylesheet());
+    assert.ok(page.document.querySelector('.xcom-panel'));
+    page.window.close();
+});
@@ -0,0 +1,44 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createHighlighterPage, createPopup, readFixture, settle } = require('./helpers/page');
+
+// The popup refreshes on a timer; closing the windows stops it even when an assertion fails
+function closeAfter(t, ...pages) {
+    t.after(() => pages.forEach(page => page.window.close()));
+}
+
+test('the popup reports and ends a pause set in the page panel', async (t) => {
+    const page = await createHighlighterPage({ html: readFixture('pulse-column.html') });
+    page.highlighter.panel.togglePaused();
+    await settle(page.window);
+
+    const popup = await createPopup(page);
+    closeAfter(t, popup, page);
+    const element = (id) => popup.document.getElementById(id);
+    assert.match(element('pauseStatus').textContent, /На паузе/);
+    assert.strictEqual(element('resumeBtn').hidden, false);
+    assert.strictEqual(element('pauseBtn').hidden, true);
+
+    element('resumeBtn').click();
+    await settle(popup.window, 100);
+    assert.strictEqual(page.highlighter.paused, false);
+    assert.strictEqual(page.highlighter.panel.state.paused, false);
+    assert.strictEqual(element('resumeBtn').hidden, true);
+});
+
+test('the popup ends a timed pause', async (t) => {
+    const page = await createHighlighterPage({ html: readFixture('pulse-column.html') });
+    const popup = await createPopup(page);
+    closeAfter(t, popup, page);
+    const element = (id) => popup.document.getElementById(id);
+
+    element('pauseBtn').click();
+    await settle(popup.window, 300);
+    assert.match(element('pauseStatus').textContent, /На паузе до/);
+    assert.strictEqual(page.highlighter.isActive(), false);
+
+    element('resumeBtn').click();
+    await settle(popup.window, 300);
+    assert.strictEqual(element('pauseStatus').hidden, true);
+    assert.strictEqual(page.highlighter.isActive(), true);
+});
@@ -0,0 +1,46 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createPage, settle } = require('./helpers/page');
+
+test('an element that fails to process doesn\'t stop the queue', async () => {
+    const page = createPage(['process-queue.js'], { html: '<p id="a"></p><p id="broken"></p><p id="b"></p>' });
+    const ProcessQueue = page.get('ProcessQueue');
+    const processed = [];
+    const batches = [];
+    const queue = new ProcessQueue((element) => {
+        if (element.id === 'broken') throw new Error('broken card');
+        processed.push(element.id);
+    }, stats => batches.push(stats));
+
+    page.window.console.error = () => {};
+    ['a', 'broken', 'b'].forEach(id => queue.add(page.document.getElementById(id)));
+    await settle(page.window);
+    assert.deepStrictEqual(processed, ['a', 'b']);
+    assert.strictEqual(batches.length, 1);
+
+    // The queue is still scheduled for what comes next
+    queue.add(page.document.getElementById('a'));
+    await settle(page.window);
+    assert.deepStrictEqual(processed, ['a', 'b', 'a']);
+    page.window.close();
+});
+
+test('an element queued while processing is taken in the same batch', async () => {
+    const page = createPage(['process-queue.js'], { html: '<p id="a"></p><p id="b"></p>' });
+    const ProcessQueue = page.get('ProcessQueue');
+    const processed = [];
+    const batches = [];
+    const errors = [];
+    const queue = new ProcessQueue((element) => {
+        processed.push(element.id);
+        if (element.id === 'a') queue.add(page.document.getElementById('b'));
+    }, stats => batches.push(stats));
+
+    page.window.addEventListener('error', event => errors.push(event.error));
+    queue.add(page.document.getElementById('a'));
+    await settle(page.window);
+    assert.deepStrictEqual(processed, ['a', 'b']);
+    assert.strictEqual(batches.length, 1);
+    assert.deepStrictEqual(errors, []);
+    page.window.close();
+});
@@ -0,0 +1,88 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createPage, createHighlighterPage, readFixture, settle } = require('./helpers/page');
+
+function loadAdapters(fixture) {
+    const page = createPage(['site-adapters.js'], { html: readFixture(fixture) });
+    const SiteAdapters = page.get('SiteAdapters');
+    const adapter = page.get('BUILTIN_ADAPTERS')[0];
+    const cardOf = (linkId) => {
+        const card = SiteAdapters.findCard(page.document.getElementById(linkId), adapter);
+        return card && card.id;
+    };
+    return { page, SiteAdapters, adapter, cardOf };
+}
+
+test('pulse cards are found by the card selector', () => {
+    const { page, cardOf } = loadAdapters('pulse-column.html');
+    assert.strictEqual(cardOf('link-pepe-x'), 'card-body-pepe');
+    assert.strictEqual(cardOf('link-pepe-tg'), 'card-body-pepe');
+    assert.strictEqual(cardOf('link-dog-x'), 'card-body-dog');
+    page.window.close();
+});
+
+test('cards are found by the coin name when the card selector misses', () => {
+    const { page, cardOf } = loadAdapters('pulse-column-restyled.html');
+    assert.strictEqual(cardOf('link-pepe-x'), 'card-pepe');
+    assert.strictEqual(cardOf('link-dog-x'), 'card-dog');
+    page.window.close();
+});
+
+test('links outside a named card have no card', async (t) => {
+    await t.test('a column header link', () => {
+        const { page, SiteAdapters, adapter } = loadAdapters('pulse-column.html');
+        const link = page.document.getElementById('header-link');
+        assert.strictEqual(SiteAdapters.findCardByName(link, adapter.nameSelector), null);
+        page.window.close();
+    });
+
+    await t.test('a card whose name hasn\'t rendered yet', () => {
+        const { page, SiteAdapters, adapter } = loadAdapters('pulse-column-restyled.html');
+        page.document.querySelector('#card-pepe span.text-textPrimary').remove();
+        const link = page.document.getElementById('link-pepe-x');
+        assert.strictEqual(SiteAdapters.findCardByName(link, adapter.nameSelector), null);
+        page.window.close();
+    });
+
+    await t.test('the only card of a column', () => {
+        const { page, SiteAdapters, adapter } = loadAdapters('pulse-column-restyled.html');
+        page.document.getElementById('card-dog').remove();
+        const link = page.document.getElementById('link-pepe-x');
+        assert.strictEqual(SiteAdapters.findCardByName(link, adapter.nameSelector), null);
+        page.window.close();
+    });
+});
+
+test('a card is highlighted once its coin name renders after the link', async () => {
+    const nameMarkup = '<span class="text-textPrimary text-[16px] font-medium truncate">PEPE2</span>';
+    const html = readFixture('pulse-column-restyled.html').replace(nameMarkup, '');
+    const tags = [{ type: 'x', value: 'pepe_two', group: 'default', note: '', links: [] }];
+    const page = await createHighlighterPage({ html, tags });
+    const card = page.document.getElementById('card-pepe');
+
+    assert.strictEqual(card.hasAttribute('data-xcom-highlighted'), false);
+    assert.ok(card.querySelector('.xcom-card-missing'));
+
+    card.querySelector('.flex-row').insertAdjacentHTML('beforeend', nameMarkup);
+    await settle(page.window, 150);
+    assert.strictEqual(card.getAttribute('data-xcom-highlighted'), 'true');
+    assert.strictEqual(card.querySelector('.xcom-card-missing'), null);
+    page.window.close();
+});
+
+test('a link without a card is processed again when its href changes', async () => {
+    const html = '<div class="column"><a id="link" href="https://x.com/alice">alice</a></div>';
+    const tags = [{ type: 'x', value: 'alice', group: 'default', note: '', links: [] }];
+    const page = await createHighlighterPage({ html, tags });
+    const column = page.document.querySelector('.column');
+    assert.ok(column.querySelector('.xcom-card-missing'));
+    assert.strictEqual(column.querySelector('.xcom-tag-toggle').getAttribute('data-xcom-username'), 'alice');
+
+    page.document.getElementById('link').setAttribute('href', 'https://x.com/bob');
+    await settle(page.window, 50);
+    assert.strictEqual(column.querySelector('.xcom-card-missing'), null);
+    const buttons = column.querySelectorAll('.xcom-tag-toggle');
+    assert.strictEqual(buttons.length, 1);
+    assert.strictEqual(buttons[0].getAttribute('data-xcom-username'), 'bob');
+    page.window.close();
+});
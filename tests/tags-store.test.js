@@ -0,0 +1,69 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createPage, settle, toPlain } = require('./helpers/page');
+
+const { get } = createPage(['x-url-parser.js', 'tag-matcher.js', 'tags-store.js']);
+const TagsStore = get('TagsStore');
+
+// [type, input] -> the stored value, or null when the input is rejected
+const TAG_VALUE_CASES = [
+    ['telegram', 'https://t.me/solana_news', 'solana_news'],
+    ['telegram', 't.me/s/Solana_News', 'solana_news'],
+    ['telegram', 'https://t.me/s/solana_news/123', 'solana_news'],
+    ['telegram', 'https://telegram.me/solana_news?start=1', 'solana_news'],
+    ['telegram', '@solana_news', 'solana_news'],
+    ['telegram', 't.me/s/', null],
+    ['telegram', 'abc', null],
+    ['x', 'https://x.com/Alice/status/1', 'alice'],
+    ['domain', 'https://www.Example.com/path', 'example.com'],
+    ['tiktok', 'https://www.tiktok.com/@Coin.Dev/video/1', 'coin.dev'],
+    ['address', '0xAbCdEf0123456789abcdef0123456789ABCDEF01', '0xabcdef0123456789abcdef0123456789abcdef01'],
+    ['address', 'not an address', null]
+];
+
+test('TagsStore.parseTagValue', async (t) => {
+    for (const [type, input, expected] of TAG_VALUE_CASES) {
+        await t.test(`${type}: ${input}`, () => {
+            const result = toPlain(TagsStore.parseTagValue(type, input));
+            if (expected === null) {
+                assert.ok(result.error, `expected an error, got ${JSON.stringify(result)}`);
+            } else {
+                assert.deepStrictEqual(result, { value: expected });
+            }
+        });
+    }
+});
+
+test('an edit that keeps the chunk counts is still reported', async () => {
+    const page = createPage(['x-url-parser.js', 'tag-matcher.js', 'tags-store.js']);
+    const TagsStore = page.get('TagsStore');
+    const groups = TagsStore.getDefaultGroups();
+    const tag = (value) => ({ type: 'x', value, group: groups[0].id, note: '', links: [] });
+    const changes = [];
+    TagsStore.onChanged(change => changes.push(Object.keys(change)));
+
+    await TagsStore.save({ tags: [tag('alice')], groups, blocklist: [] });
+    await settle(page.window);
+    changes.length = 0;
+    await TagsStore.save({ tags: [tag('bob')], groups, blocklist: [] });
+    await settle(page.window);
+
+    assert.deepStrictEqual(toPlain(changes), [['xcom_tags_0']]);
+    assert.strictEqual('lastUpdate' in page.window.chrome.storage.sync.data.xcom_meta, false);
+    page.window.close();
+});
+
+test('the first journal entry keeps the save time of a pre-journal install', async () => {
+    const page = createPage(['x-url-parser.js', 'tag-matcher.js', 'tags-store.js', 'journal-store.js']);
+    const { sync } = page.window.chrome.storage;
+    await sync.set({ xcom_tags: ['alice'], last_update: '2024-05-01T10:00:00.000Z' });
+
+    const loaded = await page.get('TagsStore').load();
+    assert.strictEqual('last_update' in sync.data, true);
+
+    const journal = await page.get('ChangeJournal').ensureBaseline({ tags: loaded.tags, groups: loaded.groups, blocklist: [] });
+    assert.strictEqual(journal.length, 1);
+    assert.strictEqual(journal[0].timestamp, '2024-05-01T10:00:00.000Z');
+    assert.strictEqual('last_update' in sync.data, false);
+    page.window.close();
+});
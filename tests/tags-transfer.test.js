@@ -0,0 +1,26 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createPage } = require('./helpers/page');
+
+const { get } = createPage(['x-url-parser.js', 'tag-matcher.js', 'tags-store.js', 'tags-transfer.js']);
+const TagsStore = get('TagsStore');
+const TagsTransfer = get('TagsTransfer');
+
+function exportNotes(notes) {
+    const groups = TagsStore.getDefaultGroups();
+    const tags = notes.map((note, index) => ({ type: 'x', value: `user${index}`, group: groups[0].id, note, links: [], trust: null }));
+    return TagsTransfer.toCsv({ tags, groups, blocklist: [] });
+}
+
+test('CSV cells that a spreadsheet would run as formulas are quoted', () => {
+    const lines = exportNotes(['=HYPERLINK("https://evil.example","x")', '+1', '-scam', '@dev', 'fine']).split('\n');
+    const notes = lines.slice(1).map(line => TagsTransfer.parseCsvRows(line)[0][4]);
+    assert.deepStrictEqual(notes, ['\'=HYPERLINK("https://evil.example","x")', '\'+1', '\'-scam', '\'@dev', 'fine']);
+});
+
+test('notes come back unchanged from a CSV export', () => {
+    const notes = ['line1\rline2', 'line1\r\nline2', '=SUM(A1)', '-scam', '\'quoted', '\'=kept', 'a, "b"'];
+    const parsed = TagsTransfer.parse(exportNotes(notes), 'tags.csv');
+    assert.strictEqual(parsed.tags.length, notes.length);
+    assert.deepStrictEqual([...parsed.tags.map(tag => tag.note)], notes);
+});
@@ -0,0 +1,77 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createPage, toPlain } = require('./helpers/page');
+
+const { get, document } = createPage(['x-url-parser.js']);
+const XUrlParser = get('XUrlParser');
+
+// input -> expected identity, or null for links that don't point at an account
+const PARSE_CASES = [
+    ['https://x.com/Alice', { kind: 'profile', username: 'alice' }],
+    ['https://x.com/Alice?s=20', { kind: 'profile', username: 'alice' }],
+    ['https://x.com/alice/', { kind: 'profile', username: 'alice' }],
+    ['https://www.x.com/alice', { kind: 'profile', username: 'alice' }],
+    ['https://twitter.com/alice', { kind: 'profile', username: 'alice' }],
+    ['https://mobile.twitter.com/alice', { kind: 'profile', username: 'alice' }],
+    ['http://x.com/alice', { kind: 'profile', username: 'alice' }],
+    ['x.com/alice', { kind: 'profile', username: 'alice' }],
+    ['https://x.com/alice/media', { kind: 'profile', username: 'alice' }],
+    ['https://x.com/alice_123', { kind: 'profile', username: 'alice_123' }],
+    ['https://mobile.twitter.com/alice/status/123', { kind: 'status', username: 'alice', statusId: '123' }],
+    ['https://x.com/alice/statuses/123', { kind: 'status', username: 'alice', statusId: '123' }],
+    ['https://x.com/alice/status/123/photo/1', { kind: 'status', username: 'alice', statusId: '123' }],
+    ['https://x.com/i/web/status/123', { kind: 'status', username: null, statusId: '123' }],
+    ['https://twitter.com/intent/user?screen_name=bob', { kind: 'profile', username: 'bob' }],
+    ['https://x.com/intent/follow?screen_name=Bob', { kind: 'profile', username: 'bob' }],
+    ['https://x.com/i/intent/follow?screen_name=bob', { kind: 'profile', username: 'bob' }],
+    ['https://x.com/i/communities/1789', { kind: 'community', communityId: '1789' }],
+    ['https://x.com/intent/user?screen_name=not-valid', null],
+    ['https://x.com/i/communities/abc', null],
+    ['https://x.com/i/web/status/abc', null],
+    ['https://x.com/search?q=foo', null],
+    ['https://x.com/home', null],
+    ['https://x.com/hashtag/solana', null],
+    ['https://x.com/explore', null],
+    ['https://x.com/settings/profile', null],
+    ['https://x.com/', null],
+    ['https://x.com/this_name_is_too_long', null],
+    ['https://x.com/bad-name', null],
+    ['https://notx.com/alice', null],
+    ['https://x.com.evil.io/alice', null],
+    ['ftp://x.com/alice', null],
+    ['javascript:alert(1)', null],
+    ['https://x.com/%E0%A4%A', null],
+    ['', null]
+];
+
+test('XUrlParser.parse', async (t) => {
+    for (const [input, expected] of PARSE_CASES) {
+        await t.test(input || '(empty)', () => {
+            assert.deepStrictEqual(toPlain(XUrlParser.parse(input)), expected);
+        });
+    }
+});
+
+// Anchor attributes -> expected identity; t.co links are resolved from the text pages keep on the anchor
+const LINK_CASES = [
+    [{ href: '/alice' }, null],
+    [{ href: 'https://x.com/alice' }, { kind: 'profile', username: 'alice' }],
+    [{ href: 'https://t.co/abc', 'data-expanded-url': 'https://x.com/bob' }, { kind: 'profile', username: 'bob' }],
+    [{ href: 'https://t.co/abc', title: 'https://twitter.com/bob/status/5' }, { kind: 'status', username: 'bob', statusId: '5' }],
+    [{ href: 'https://t.co/abc', text: 'x.com/carol…' }, { kind: 'profile', username: 'carol' }],
+    [{ href: 'https://t.co/abc', text: 'example.com/page' }, null],
+    [{ href: 'https://example.com/alice' }, null]
+];
+
+test('XUrlParser.parseLink', async (t) => {
+    for (const [attributes, expected] of LINK_CASES) {
+        await t.test(JSON.stringify(attributes), () => {
+            const link = document.createElement('a');
+            Object.entries(attributes).forEach(([name, value]) => {
+                if (name === 'text') link.textContent = value;
+                else link.setAttribute(name, value);
+            });
+            assert.deepStrictEqual(toPlain(XUrlParser.parseLink(link)), expected);
+        });
+    }
+});
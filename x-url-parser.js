@@ -0,0 +1,97 @@
+// Parser for X.com / Twitter links found on pages
+//
+// Examples:
+//   https://x.com/Alice?s=20                       -> { kind: 'profile', username: 'alice' }
+//   https://mobile.twitter.com/alice/status/123    -> { kind: 'status', username: 'alice', statusId: '123' }
+//   https://x.com/i/web/status/123                 -> { kind: 'status', username: null, statusId: '123' }
+//   https://twitter.com/intent/user?screen_name=bob -> { kind: 'profile', username: 'bob' }
+//   https://x.com/i/communities/1789               -> { kind: 'community', communityId: '1789' }
+//   https://x.com/search?q=foo, /home, /hashtag/x  -> null
+
+const X_HOSTS = ['x.com', 'twitter.com'];
+
+// First path segments that are X.com pages, not usernames
+const X_RESERVED_PATHS = new Set([
+    'i', 'intent', 'search', 'hashtag', 'home', 'explore', 'notifications', 'messages',
+    'settings', 'compose', 'login', 'logout', 'signup', 'tos', 'privacy', 'share', 'account',
+    'jobs', 'about', 'download', 'lists', 'topics', 'communities', 'bookmarks', 'premium',
+    'verified-choose', 'following', 'followers', 'rules', 'help', 'oauth', 'sw.js', 'who_to_follow'
+]);
+
+const X_USERNAME_PATTERN = /^[A-Za-z0-9_]{1,15}$/;
+
+class XUrlParser {
+    static isXHost(hostname) {
+        const host = hostname.toLowerCase().replace(/^(www|mobile)\./, '');
+        return X_HOSTS.includes(host);
+    }
+
+    // Expects an absolute URL; a missing protocol ("x.com/alice") is tolerated
+    static parse(href) {
+        let url;
+        let segments;
+        try {
+            url = new URL(/^[a-z]+:\/\//i.test(href) ? href : `https://${href}`);
+            segments = url.pathname.split('/').filter(Boolean).map(decodeURIComponent);
+        } catch (error) {
+            return null;
+        }
+
+        if (!/^https?:$/.test(url.protocol) || !this.isXHost(url.hostname)) return null;
+        if (segments.length === 0) return null;
+
+        const [first, second, third, fourth] = segments;
+        const lowerFirst = first.toLowerCase();
+
+        if (lowerFirst === 'intent' || (lowerFirst === 'i' && second === 'intent')) {
+            const screenName = url.searchParams.get('screen_name');
+            return this.isUsername(screenName) ? { kind: 'profile', username: screenName.toLowerCase() } : null;
+        }
+
+        if (lowerFirst === 'i') {
+            if (second === 'communities' && /^\d+$/.test(third || '')) {
+                return { kind: 'community', communityId: third };
+            }
+            if (second === 'web' && third === 'status' && /^\d+$/.test(fourth || '')) {
+                return { kind: 'status', username: null, statusId: fourth };
+            }
+            return null;
+        }
+
+        if (X_RESERVED_PATHS.has(lowerFirst) || !this.isUsername(first)) return null;
+
+        const username = first.toLowerCase();
+        if ((second === 'status' || second === 'statuses') && /^\d+$/.test(third || '')) {
+            return { kind: 'status', username, statusId: third };
+        }
+        return { kind: 'profile', username };
+    }
+
+    // t.co links hide the target; pages usually keep the expanded URL on the anchor
+    static parseLink(link) {
+        let url;
+        try {
+            url = new URL(link.getAttribute('href') || '', window.location.href);
+        } catch (error) {
+            return null;
+        }
+
+        if (url.hostname.toLowerCase() !== 't.co') return this.parse(url.href);
+
+        const candidates = [
+            link.getAttribute('data-expanded-url'),
+            link.getAttribute('title'),
+            link.textContent.trim()
+        ].filter(Boolean);
+
+        for (const candidate of candidates) {
+            const parsed = this.parse(candidate.replace(/…$/, ''));
+            if (parsed) return parsed;
+        }
+        return null;
+    }
+
+    static isUsername(value) {
+        return typeof value === 'string' && X_USERNAME_PATTERN.test(value);
+    }
+}